@@ -0,0 +1,197 @@
+// Minimal PDF Writer
+// Builds text-and-shapes PDF documents in the browser without libraries.
+// Uses the built-in Helvetica fonts, so text is limited to the WinAnsi
+// (Latin-1) character set; emoji and other symbols are dropped.
+//
+// const pdf = createPDFDocument({ title: 'Report' });
+// pdf.text('Hello', { size: 18, bold: true });
+// const bytes = pdf.output(); // Uint8Array
+
+const PDF_PAGE_WIDTH = 595; // A4 in points
+const PDF_PAGE_HEIGHT = 842;
+const PDF_MARGIN = 50;
+const PDF_FOOTER_SIZE = 8;
+
+// Helvetica and Helvetica-Bold advance widths (1/1000 em) for characters 32-126
+const PDF_FONT_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Unicode punctuation with a WinAnsi code point of its own
+const PDF_WINANSI = {
+  '‘': '\x91', '’': '\x92', '“': '\x93', '”': '\x94',
+  '•': '\x95', '–': '\x96', '—': '\x97', '…': '\x85', '€': '\x80'
+};
+
+// Text in the single-byte encoding the standard fonts use
+function toPDFText(text) {
+  return String(text)
+    .replace(/[\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u2026\u20ac]/g, c => PDF_WINANSI[c])
+    .replace(/[\ud800-\udfff\u2600-\u27bf\ufe0f\u200d]/g, '')
+    .replace(/\s/g, c => (c === '\n' ? c : ' '))
+    .replace(/[^\n\x20-\x7e\x80-\xff]/g, '?');
+}
+
+function pdfTextWidth(text, size, bold) {
+  const widths = bold ? PDF_FONT_WIDTHS.bold : PDF_FONT_WIDTHS.regular;
+  let width = 0;
+  for (const c of text) {
+    const code = c.charCodeAt(0);
+    width += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return (width * size) / 1000;
+}
+
+function escapePDFString(text) {
+  return text.replace(/[\\()]/g, c => '\\' + c);
+}
+
+// "r g b" operands from a "#rrggbb" colour
+function pdfColor(hex) {
+  return [1, 3, 5].map(i => (parseInt(hex.slice(i, i + 2), 16) / 255).toFixed(3)).join(' ');
+}
+
+function createPDFDocument({ title = '', footer = '' } = {}) {
+  const pages = [];
+  const contentWidth = PDF_PAGE_WIDTH - 2 * PDF_MARGIN;
+  let ops = null;
+  let y = 0;
+
+  const pdf = {
+    width: contentWidth,
+
+    // Current top of the free space, in points from the page bottom
+    get y() {
+      return y;
+    },
+
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      y = PDF_PAGE_HEIGHT - PDF_MARGIN;
+    },
+
+    // Start a new page unless `height` points still fit on this one
+    ensureSpace(height) {
+      if (!ops || y - height < PDF_MARGIN) pdf.addPage();
+    },
+
+    space(height) {
+      y -= height;
+    },
+
+    // Split text into lines no wider than `width`, breaking long words if needed
+    wrap(text, { size = 10, bold = false, width = contentWidth } = {}) {
+      const lines = [];
+      toPDFText(text).split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(' ').forEach(word => {
+          const candidate = line ? `${line} ${word}` : word;
+          if (pdfTextWidth(candidate, size, bold) <= width) {
+            line = candidate;
+            return;
+          }
+          if (line) lines.push(line);
+          line = word;
+          while (pdfTextWidth(line, size, bold) > width) {
+            let cut = line.length - 1;
+            while (cut > 1 && pdfTextWidth(line.slice(0, cut), size, bold) > width) cut--;
+            lines.push(line.slice(0, cut));
+            line = line.slice(cut);
+          }
+        });
+        lines.push(line);
+      });
+      return lines;
+    },
+
+    // Draw one line of text with its baseline at (x, baseline)
+    textAt(text, x, baseline, { size = 10, bold = false, color = '#1a202c' } = {}) {
+      ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${pdfColor(color)} rg ${x.toFixed(2)} ${baseline.toFixed(2)} Td (${escapePDFString(toPDFText(text))}) Tj ET`);
+    },
+
+    // Flowing text: wraps at the right margin and continues on new pages
+    text(text, { size = 10, bold = false, color = '#1a202c', indent = 0, lineHeight = 1.35 } = {}) {
+      const leading = size * lineHeight;
+      pdf.wrap(text, { size, bold, width: contentWidth - indent }).forEach(line => {
+        pdf.ensureSpace(leading);
+        y -= leading;
+        pdf.textAt(line, PDF_MARGIN + indent, y + (leading - size) / 2 + size * 0.2, { size, bold, color });
+      });
+    },
+
+    // Filled box with its top-left corner at (x, top), in page coordinates like textAt
+    rect(x, top, width, height, color) {
+      ops.push(`${pdfColor(color)} rg ${x.toFixed(2)} ${(top - height).toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re f`);
+    },
+
+    // Horizontal rule across the content width
+    rule(color = '#cbd5e0') {
+      pdf.ensureSpace(10);
+      y -= 5;
+      ops.push(`${pdfColor(color)} RG 0.5 w ${PDF_MARGIN} ${y.toFixed(2)} m ${PDF_MARGIN + contentWidth} ${y.toFixed(2)} l S`);
+      y -= 5;
+    },
+
+    output() {
+      if (!ops) pdf.addPage();
+      const objects = [];
+      const add = body => objects.push(body) + 1; // the catalog is object 1
+      const pagesId = 2;
+      objects.push(null); // pages tree, written once the page ids are known
+
+      const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+      const pageIds = pages.map((pageOps, i) => {
+        const footerOps = [];
+        const footerText = toPDFText(`${footer}${footer ? '  -  ' : ''}Page ${i + 1} of ${pages.length}`);
+        const footerX = PDF_PAGE_WIDTH - PDF_MARGIN - pdfTextWidth(footerText, PDF_FOOTER_SIZE, false);
+        footerOps.push(`BT /F1 ${PDF_FOOTER_SIZE} Tf ${pdfColor('#718096')} rg ${footerX.toFixed(2)} ${PDF_MARGIN / 2} Td (${escapePDFString(footerText)}) Tj ET`);
+
+        const stream = [...pageOps, ...footerOps].join('\n');
+        const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${contentId} 0 R >>`);
+      });
+      objects[0] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      const now = new Date();
+      const stamp = now.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+      const info = add(`<< /Title (${escapePDFString(toPDFText(title))}) /Producer (ServiceNow CSA Pro) /CreationDate (D:${stamp}Z) >>`);
+
+      // Every character is a single byte, so string offsets are byte offsets
+      let file = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+      const offsets = [];
+      ['<< /Type /Catalog /Pages 2 0 R >>', ...objects].forEach((body, i) => {
+        offsets.push(file.length);
+        file += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      });
+      const xref = file.length;
+      file += `xref\n0 ${offsets.length + 1}\n0000000000 65535 f \n`;
+      file += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      file += `trailer\n<< /Size ${offsets.length + 1} /Root 1 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+      const bytes = new Uint8Array(file.length);
+      for (let i = 0; i < file.length; i++) bytes[i] = file.charCodeAt(i) & 0xff;
+      return bytes;
+    }
+  };
+
+  return pdf;
+}
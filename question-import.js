@@ -0,0 +1,364 @@
+// Question Pack Importer
+// Parses user-supplied question packs in JSON (QUESTION_SETS shape), CSV, GIFT
+// and Moodle XML into { categoryName: [questions] } for custom categories.
+// Invalid questions are skipped and reported as "Category #n: message".
+
+const IMPORT_FORMATS = {
+  json: 'JSON',
+  csv: 'CSV',
+  gift: 'GIFT',
+  xml: 'Moodle XML'
+};
+
+// "A, C" / "A;C" / "AC" -> [0, 2]
+function parseAnswerLetters(text) {
+  const letters = String(text).toUpperCase().match(/[A-Z]/g) || [];
+  return letters.map(l => l.charCodeAt(0) - 65);
+}
+
+// Number of answers the question text asks for: "(Choose two.)" or "(Select 2)" -> 2,
+// null when it doesn't say. Shared by the app and the tools in tools/.
+function requestedAnswerCount(text) {
+  const match = String(text).match(/\(\s*(?:choose|select)\s+(?:any\s+)?(\w+)/i);
+  if (!match) return null;
+  const word = match[1].toLowerCase();
+  return { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 }[word] || parseInt(word) || null;
+}
+
+// A single correct answer is stored as an index, several as a sorted array
+function normalizeCorrect(indices) {
+  const unique = [...new Set(indices)].sort((a, b) => a - b);
+  return unique.length === 1 ? unique[0] : unique;
+}
+
+function htmlToText(html) {
+  return new DOMParser().parseFromString(html || '', 'text/html').body.textContent.trim();
+}
+
+function detectImportFormat(text, fileName = '') {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (IMPORT_FORMATS[extension]) return extension;
+
+  const start = text.trimStart();
+  if (start.startsWith('{') || start.startsWith('[')) return 'json';
+  if (start.startsWith('<')) return 'xml';
+  if (/^[^\n]*question[^\n]*,/i.test(start)) return 'csv';
+  return 'gift';
+}
+
+function validateImportedQuestion(q) {
+  const errors = [];
+  if (!q.question) errors.push('question text is missing');
+  if (q.options.length < 2) errors.push('needs at least 2 options');
+  const empty = q.options.map((opt, i) => (opt ? null : String.fromCharCode(65 + i))).filter(Boolean);
+  if (empty.length) errors.push(`option ${empty.join(', ')} is empty`);
+  if (new Set(q.options.map(opt => opt.toLowerCase())).size !== q.options.length) errors.push('has duplicate options');
+
+  const correct = [].concat(q.correct);
+  if (correct.length === 0) {
+    errors.push('has no correct answer');
+  } else if (correct.some(i => !Number.isInteger(i) || i < 0 || i >= q.options.length)) {
+    errors.push('correct answer does not match an option');
+  }
+  return errors;
+}
+
+// JSON: { category: [{ question, options, correct, explanation }] } or a bare array.
+// correct may be indexes or letters. Items that are not objects are kept as null
+// so they are reported by position instead of failing the whole pack.
+function parseJSONPack(text, defaultCategory) {
+  const data = JSON.parse(text);
+  const sets = Array.isArray(data) ? { [defaultCategory]: data } : data;
+  const questionSets = {};
+
+  Object.keys(sets).forEach(category => {
+    if (!Array.isArray(sets[category])) throw new Error(`"${category}" is not an array of questions`);
+    questionSets[category] = sets[category].map(item => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) return null;
+      const correct = typeof item.correct === 'string' ? parseAnswerLetters(item.correct) : [].concat(item.correct ?? []);
+      return {
+        question: String(item.question || '').trim(),
+        options: Array.isArray(item.options) ? item.options.map(opt => String(opt).trim()) : [],
+        correct: normalizeCorrect(correct),
+        explanation: String(item.explanation || ''),
+        domain: item.domain ? String(item.domain) : undefined,
+        topic: item.topic ? String(item.topic) : undefined
+      };
+    });
+  });
+
+  return questionSets;
+}
+
+// RFC 4180 rows: quoted fields may contain commas, quotes ("") and newlines
+function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim()));
+}
+
+// CSV: a header row with "question", option columns ("A".."Z" or "Option A"/"Option 1"),
+// "correct" (letters, e.g. "A" or "A;C") and optional "explanation", "category", "domain"
+function parseCSVPack(text, defaultCategory) {
+  const [header, ...rows] = parseCSVRows(text.replace(/^\uFEFF/, ''));
+  if (!header) throw new Error('the file is empty');
+
+  const columns = header.map(h => h.trim().toLowerCase());
+  const column = (...names) => columns.findIndex(c => names.includes(c));
+  const questionCol = column('question', 'question text');
+  const correctCol = column('correct', 'answer', 'correct answer');
+  const optionCols = columns
+    .map((c, i) => (/^(option\s*)?[a-z]$/.test(c) || /^option\s*\d+$/.test(c) ? i : -1))
+    .filter(i => i >= 0 && i !== questionCol && i !== correctCol);
+
+  if (questionCol < 0 || correctCol < 0 || optionCols.length < 2) {
+    throw new Error('the header needs "question", "correct" and at least two option columns');
+  }
+
+  const explanationCol = column('explanation');
+  const categoryCol = column('category');
+  const domainCol = column('domain');
+  const questionSets = {};
+
+  rows.forEach(row => {
+    const value = i => (i >= 0 && row[i] !== undefined ? row[i].trim() : '');
+    const category = value(categoryCol) || defaultCategory;
+    // Letters in "correct" refer to column positions, so only unused trailing columns
+    // are dropped; an empty cell before the last option fails validation
+    const options = optionCols.map(value);
+    while (options.length && !options[options.length - 1]) options.pop();
+    if (!questionSets[category]) questionSets[category] = [];
+    questionSets[category].push({
+      question: value(questionCol),
+      options,
+      correct: normalizeCorrect(parseAnswerLetters(value(correctCol))),
+      explanation: value(explanationCol),
+      domain: value(domainCol) || undefined
+    });
+  });
+
+  return questionSets;
+}
+
+// Split a GIFT answer block on unescaped "=" and "~", keeping the marker
+function splitGiftAnswers(body) {
+  const answers = [];
+  let current = null;
+
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (c === '\\' && i + 1 < body.length) {
+      if (current) current.text += c + body[i + 1];
+      i++;
+    } else if (c === '=' || c === '~') {
+      current = { marker: c, text: '' };
+      answers.push(current);
+    } else if (current) {
+      current.text += c;
+    }
+  }
+
+  return answers;
+}
+
+const unescapeGift = text => text.replace(/\\([~=#{}:\\])/g, '$1').replace(/\\n/g, '\n').trim();
+
+// Index of the first unescaped occurrence of char
+function findUnescaped(text, char, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') i++;
+    else if (text[i] === char) return i;
+  }
+  return -1;
+}
+
+// GIFT: multiple-choice ({=right ~wrong}, ~%50% weights for several answers)
+// and true/false ({T} / {FALSE}) questions. "$CATEGORY:" lines start a category.
+function parseGIFTPack(text, defaultCategory) {
+  const questionSets = {};
+  const unsupported = [];
+  let category = defaultCategory;
+
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => !/^\s*\/\//.test(line));
+  const blocks = [];
+  let block = [];
+  lines.forEach(line => {
+    const categoryMatch = line.match(/^\s*\$CATEGORY:\s*(.+)$/);
+    if (categoryMatch) {
+      if (block.length) blocks.push({ category, text: block.join('\n') });
+      block = [];
+      category = categoryMatch[1].trim().split('/').pop().trim() || defaultCategory;
+    } else if (!line.trim()) {
+      if (block.length) blocks.push({ category, text: block.join('\n') });
+      block = [];
+    } else {
+      block.push(line);
+    }
+  });
+  if (block.length) blocks.push({ category, text: block.join('\n') });
+
+  blocks.forEach(({ category, text: source }) => {
+    if (!questionSets[category]) questionSets[category] = [];
+    const open = findUnescaped(source, '{');
+    const close = open >= 0 ? findUnescaped(source, '}', open) : -1;
+
+    let stem = (open >= 0 ? source.slice(0, open) + ' ' + source.slice(close + 1) : source)
+      .replace(/^\s*::(?:\\.|[^:])*::/, '')
+      .replace(/^\s*\[(?:html|moodle|plain|markdown)\]/, '');
+    stem = unescapeGift(stem.replace(/\s+/g, ' '));
+
+    if (open < 0 || close < 0) {
+      unsupported.push(`${category} "${stem.slice(0, 40)}": no answer block`);
+      return;
+    }
+
+    let body = source.slice(open + 1, close);
+    let explanation = '';
+    const generalFeedback = body.indexOf('####');
+    if (generalFeedback >= 0) {
+      explanation = unescapeGift(body.slice(generalFeedback + 4));
+      body = body.slice(0, generalFeedback);
+    }
+
+    const trueFalse = body.trim().match(/^(T|TRUE|F|FALSE)(\s*#.*)?$/i);
+    if (trueFalse) {
+      questionSets[category].push({
+        question: stem,
+        options: ['True', 'False'],
+        correct: trueFalse[1].toUpperCase().startsWith('T') ? 0 : 1,
+        explanation
+      });
+      return;
+    }
+
+    const answers = splitGiftAnswers(body);
+    if (!answers.some(a => a.marker === '~') || answers.some(a => a.text.includes('->'))) {
+      unsupported.push(`${category} "${stem.slice(0, 40)}": only multiple-choice and true/false questions are supported`);
+      return;
+    }
+
+    const correct = [];
+    const options = answers.map((answer, i) => {
+      let answerText = answer.text;
+      const feedback = findUnescaped(answerText, '#');
+      if (feedback >= 0) answerText = answerText.slice(0, feedback);
+      const weight = answerText.match(/^\s*%(-?[\d.]+)%/);
+      if (weight) answerText = answerText.replace(/^\s*%-?[\d.]+%/, '');
+      if (answer.marker === '=' || (weight && parseFloat(weight[1]) > 0)) correct.push(i);
+      return unescapeGift(answerText);
+    });
+
+    questionSets[category].push({ question: stem, options, correct: normalizeCorrect(correct), explanation });
+  });
+
+  return { questionSets, unsupported };
+}
+
+// Moodle XML: multichoice and truefalse questions; <question type="category">
+// switches the category for the questions that follow it
+function parseMoodleXMLPack(text, defaultCategory) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.querySelector('parsererror')) throw new Error('the file is not valid XML');
+
+  const questionSets = {};
+  const unsupported = [];
+  let category = defaultCategory;
+  const childText = (el, selector) => {
+    const node = el.querySelector(selector);
+    return node ? node.textContent : '';
+  };
+
+  doc.querySelectorAll('question').forEach(el => {
+    const type = el.getAttribute('type');
+    if (type === 'category') {
+      const path = childText(el, 'category > text').replace(/^\$(course|system|module)\$\/?/, '').replace(/^top\/?/, '');
+      category = path.split('/').pop().trim() || defaultCategory;
+      return;
+    }
+
+    const stem = htmlToText(childText(el, 'questiontext > text'));
+    if (type !== 'multichoice' && type !== 'truefalse') {
+      unsupported.push(`${category} "${stem.slice(0, 40)}": ${type} questions are not supported`);
+      return;
+    }
+
+    const answers = [...el.querySelectorAll(':scope > answer')];
+    if (!questionSets[category]) questionSets[category] = [];
+    questionSets[category].push({
+      question: stem,
+      options: answers.map(a => htmlToText(childText(a, 'text'))),
+      correct: normalizeCorrect(answers.map((a, i) => (parseFloat(a.getAttribute('fraction')) > 0 ? i : -1)).filter(i => i >= 0)),
+      explanation: htmlToText(childText(el, 'generalfeedback > text'))
+    });
+  });
+
+  return { questionSets, unsupported };
+}
+
+// Parse any supported pack. Returns { format, questionSets, errors }; questions
+// that fail validation are left out of questionSets and listed in errors.
+function parseQuestionPack(text, fileName = '') {
+  const format = detectImportFormat(text, fileName);
+  const defaultCategory = fileName.replace(/\.[^.]+$/, '') || 'Imported Questions';
+  let parsed;
+
+  try {
+    if (format === 'json') parsed = { questionSets: parseJSONPack(text, defaultCategory), unsupported: [] };
+    else if (format === 'csv') parsed = { questionSets: parseCSVPack(text, defaultCategory), unsupported: [] };
+    else if (format === 'xml') parsed = parseMoodleXMLPack(text, defaultCategory);
+    else parsed = parseGIFTPack(text, defaultCategory);
+  } catch (error) {
+    return { format, questionSets: {}, errors: [`Could not read ${IMPORT_FORMATS[format]} file: ${error.message}`] };
+  }
+
+  const errors = [...parsed.unsupported];
+  const questionSets = {};
+  Object.keys(parsed.questionSets).forEach(category => {
+    const valid = [];
+    parsed.questionSets[category].forEach((q, i) => {
+      const problems = q ? validateImportedQuestion(q) : ['is not a question object'];
+      if (problems.length) {
+        errors.push(`${category} #${i + 1}: ${problems.join(', ')}`);
+      } else {
+        valid.push({ ...q, id: valid.length + 1 });
+      }
+    });
+    if (valid.length) questionSets[category] = valid;
+  });
+
+  return { format, questionSets, errors };
+}
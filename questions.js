@@ -1,6 +1,7 @@
 // ServiceNow CSA Comprehensive Question Bank
-// Auto-generated from source files
+// Auto-generated from source files; sync with ALL_QUESTIONS_AND_ANSWERS.txt via tools/import-questions.js
 // 5 Categories: CSA Exam (347), CSA Dumps 194 (194), SkillCert (81), YouTube (200), Other (152)
+// Each question carries a CSA blueprint "domain" tag used by the timed exam generator
 
 const QUESTION_SETS = {
   "csa_exam": [
@@ -14,7 +15,8 @@ const QUESTION_SETS = {
       "Record Producers, Order Guides, and Catalog Item"
     ],
     "correct": 3,
-    "explanation": "D - Record Producers, Order Guides, and Catalog Item"
+    "explanation": "D - Record Producers, Order Guides, and Catalog Item",
+    "domain": "Self-Service"
   },
   {
     "id": 2,
@@ -26,7 +28,8 @@ const QUESTION_SETS = {
       "If a match is not found using the coalesce fields, the existing record is updated with the information being imported"
     ],
     "correct": 0,
-    "explanation": "A - If match found, existing record is updated"
+    "explanation": "A - If match found, existing record is updated",
+    "domain": "Database"
   },
   {
     "id": 3,
@@ -38,7 +41,8 @@ const QUESTION_SETS = {
       "A metric is a comparative measurement used to report the effectiveness of flows and SLAs"
     ],
     "correct": 2,
-    "explanation": "C - Metric measures effectiveness of ITSM processes"
+    "explanation": "C - Metric measures effectiveness of ITSM processes",
+    "domain": "Collaboration"
   },
   {
     "id": 4,
@@ -50,7 +54,8 @@ const QUESTION_SETS = {
       "The Choice field in the Variable form"
     ],
     "correct": 2,
-    "explanation": "C - Order field in Variable form"
+    "explanation": "C - Order field in Variable form",
+    "domain": "Self-Service"
   },
   {
     "id": 5,
@@ -65,7 +70,8 @@ const QUESTION_SETS = {
       0,
       2
     ],
-    "explanation": "A, C - List column heading, Statistics module"
+    "explanation": "A, C - List column heading, Statistics module",
+    "domain": "Collaboration"
   },
   {
     "id": 6,
@@ -82,7 +88,8 @@ const QUESTION_SETS = {
       1,
       4
     ],
-    "explanation": "A, B, E - Most recent update, Popularity, Number of views"
+    "explanation": "A, B, E - Most recent update, Popularity, Number of views",
+    "domain": "Self-Service"
   },
   {
     "id": 7,
@@ -94,7 +101,8 @@ const QUESTION_SETS = {
       "FULFILLMENT (Number)>RITM (Number)>TASK (Number)"
     ],
     "correct": 2,
-    "explanation": "C - REQ > RITM > TASK"
+    "explanation": "C - REQ > RITM > TASK",
+    "domain": "Collaboration"
   },
   {
     "id": 8,
@@ -106,7 +114,8 @@ const QUESTION_SETS = {
       "Bookmark"
     ],
     "correct": 1,
-    "explanation": "B - Favorite"
+    "explanation": "B - Favorite",
+    "domain": "Application Development"
   },
   {
     "id": 9,
@@ -121,7 +130,8 @@ const QUESTION_SETS = {
       2,
       0
     ],
-    "explanation": "C - A request"
+    "explanation": "C - A request",
+    "domain": "Self-Service"
   },
   {
     "id": 10,
@@ -139,7 +149,8 @@ const QUESTION_SETS = {
       2,
       3
     ],
-    "explanation": "B, C, D - Log Out, Elevate Roles, Impersonate Users"
+    "explanation": "B, C, D - Log Out, Elevate Roles, Impersonate Users",
+    "domain": "Other"
   },
   {
     "id": 11,
@@ -151,7 +162,8 @@ const QUESTION_SETS = {
       "UI Policy"
     ],
     "correct": 1,
-    "explanation": "B - UI Action"
+    "explanation": "B - UI Action",
+    "domain": "Collaboration"
   },
   {
     "id": 12,
@@ -163,7 +175,8 @@ const QUESTION_SETS = {
       "They provide options."
     ],
     "correct": 1,
-    "explanation": "B - Building blocks"
+    "explanation": "B - Building blocks",
+    "domain": "Self-Service"
   },
   {
     "id": 13,
@@ -175,7 +188,8 @@ const QUESTION_SETS = {
       "any table name (wildcard), table name, parent table name"
     ],
     "correct": 1,
-    "explanation": "B - Table name, parent table, wildcard (specific\u2192general)"
+    "explanation": "B - Table name, parent table, wildcard (specific\u2192general)",
+    "domain": "Database"
   },
   {
     "id": 14,
@@ -187,7 +201,8 @@ const QUESTION_SETS = {
       "sys_user"
     ],
     "correct": 3,
-    "explanation": "D - sys_user"
+    "explanation": "D - sys_user",
+    "domain": "Database"
   },
   {
     "id": 15,
@@ -199,7 +214,8 @@ const QUESTION_SETS = {
       "the individual item in the order."
     ],
     "correct": 0,
-    "explanation": "A - The order number"
+    "explanation": "A - The order number",
+    "domain": "Self-Service"
   },
   {
     "id": 16,
@@ -211,7 +227,8 @@ const QUESTION_SETS = {
       "Forms"
     ],
     "correct": 1,
-    "explanation": "B - UI Pages"
+    "explanation": "B - UI Pages",
+    "domain": "Application Development"
   },
   {
     "id": 17,
@@ -223,7 +240,8 @@ const QUESTION_SETS = {
       "Once an Update Set is closed as 'Complete', change it back to 'In Progress' until it is applied to another instance"
     ],
     "correct": 0,
-    "explanation": "A - Avoid using Default Update Set for moving customizations"
+    "explanation": "A - Avoid using Default Update Set for moving customizations",
+    "domain": "Application Development"
   },
   {
     "id": 18,
@@ -238,7 +256,8 @@ const QUESTION_SETS = {
       0,
       0
     ],
-    "explanation": "A - A Trigger"
+    "explanation": "A - A Trigger",
+    "domain": "Self-Service"
   },
   {
     "id": 19,
@@ -250,7 +269,8 @@ const QUESTION_SETS = {
       "Service Catalog variables are global by default"
     ],
     "correct": 3,
-    "explanation": "D - Variables are global by default"
+    "explanation": "D - Variables are global by default",
+    "domain": "Self-Service"
   },
   {
     "id": 20,
@@ -262,7 +282,8 @@ const QUESTION_SETS = {
       "It displays actions such as view form, view related task, and add relationship"
     ],
     "correct": 0,
-    "explanation": "A - Creating reports, configuring list, exporting data"
+    "explanation": "A - Creating reports, configuring list, exporting data",
+    "domain": "Other"
   },
   {
     "id": 21,
@@ -278,7 +299,8 @@ const QUESTION_SETS = {
       0,
       3
     ],
-    "explanation": "A, D - Discovery, CMDB Plug-in (Note: Service Mapping also valid)"
+    "explanation": "A, D - Discovery, CMDB Plug-in (Note: Service Mapping also valid)",
+    "domain": "CMDB"
   },
   {
     "id": 22,
@@ -290,7 +312,8 @@ const QUESTION_SETS = {
       "Mapping fields using a Field Map"
     ],
     "correct": 3,
-    "explanation": "D - Mapping fields using Field Map"
+    "explanation": "D - Mapping fields using Field Map",
+    "domain": "Database"
   },
   {
     "id": 23,
@@ -302,7 +325,8 @@ const QUESTION_SETS = {
       "The CMDB contains ITIL process data pertaining to configuration items"
     ],
     "correct": 0,
-    "explanation": "A - Tangible and intangible business assets"
+    "explanation": "A - Tangible and intangible business assets",
+    "domain": "CMDB"
   },
   {
     "id": 24,
@@ -314,7 +338,8 @@ const QUESTION_SETS = {
       "Value, Operator, then Field"
     ],
     "correct": 0,
-    "explanation": "A - Field, Operator, then Value"
+    "explanation": "A - Field, Operator, then Value",
+    "domain": "Collaboration"
   },
   {
     "id": 25,
@@ -326,7 +351,8 @@ const QUESTION_SETS = {
       "A business rule monitors fields on a form"
     ],
     "correct": 1,
-    "explanation": "B - Can be Javascript"
+    "explanation": "B - Can be Javascript",
+    "domain": "Application Development"
   },
   {
     "id": 26,
@@ -345,7 +371,8 @@ const QUESTION_SETS = {
       3,
       5
     ],
-    "explanation": "A, C, D, F - onSubmit, onCellEdit, onLoad, onChange"
+    "explanation": "A, C, D, F - onSubmit, onCellEdit, onLoad, onChange",
+    "domain": "Application Development"
   },
   {
     "id": 27,
@@ -357,7 +384,8 @@ const QUESTION_SETS = {
       "Custom Tables"
     ],
     "correct": 0,
-    "explanation": "A - Base Tables"
+    "explanation": "A - Base Tables",
+    "domain": "Database"
   },
   {
     "id": 28,
@@ -369,7 +397,8 @@ const QUESTION_SETS = {
       "Order Guides take the user directly to the checkout without prompting for information"
     ],
     "correct": 2,
-    "explanation": "C - Order multiple related items as one request"
+    "explanation": "C - Order multiple related items as one request",
+    "domain": "Self-Service"
   },
   {
     "id": 29,
@@ -381,7 +410,8 @@ const QUESTION_SETS = {
       "Comments"
     ],
     "correct": 0,
-    "explanation": "A - Connect Chat"
+    "explanation": "A - Connect Chat",
+    "domain": "Collaboration"
   },
   {
     "id": 30,
@@ -399,7 +429,8 @@ const QUESTION_SETS = {
       4,
       0
     ],
-    "explanation": "C, D, E, (A optional) - Tables/Fields, Database, Dependency View"
+    "explanation": "C, D, E, (A optional) - Tables/Fields, Database, Dependency View",
+    "domain": "CMDB"
   },
   {
     "id": 31,
@@ -411,7 +442,8 @@ const QUESTION_SETS = {
       "A formatter is a set of conditions applied to a table to help find and work with data"
     ],
     "correct": 1,
-    "explanation": "B - Form element displaying info not a field"
+    "explanation": "B - Form element displaying info not a field",
+    "domain": "Other"
   },
   {
     "id": 32,
@@ -430,7 +462,8 @@ const QUESTION_SETS = {
       2,
       4
     ],
-    "explanation": "A, B, C, E - Apps and Modules, Modules, Apps, History"
+    "explanation": "A, B, C, E - Apps and Modules, Modules, Apps, History",
+    "domain": "Application Development"
   },
   {
     "id": 33,
@@ -442,7 +475,8 @@ const QUESTION_SETS = {
       "Record-Hopping"
     ],
     "correct": 2,
-    "explanation": "C - Dot-Walking"
+    "explanation": "C - Dot-Walking",
+    "domain": "Database"
   },
   {
     "id": 34,
@@ -454,7 +488,8 @@ const QUESTION_SETS = {
       "A schema map displays the details of tables and their relationships in a visual manner, allowing administrators to view and easily access different parts of the database schema"
     ],
     "correct": 3,
-    "explanation": "D - Visual display of tables and relationships"
+    "explanation": "D - Visual display of tables and relationships",
+    "domain": "Database"
   },
   {
     "id": 35,
@@ -466,7 +501,8 @@ const QUESTION_SETS = {
       "By default, the changes included in an Update Set are visible only in the instance to which they are applied"
     ],
     "correct": 0,
-    "explanation": "A - Group changes and move to other systems"
+    "explanation": "A - Group changes and move to other systems",
+    "domain": "Application Development"
   },
   {
     "id": 36,
@@ -483,7 +519,8 @@ const QUESTION_SETS = {
       2,
       3
     ],
-    "explanation": "A, C - Banner Image, Browser Tab Title (also D valid)"
+    "explanation": "A, C - Banner Image, Browser Tab Title (also D valid)",
+    "domain": "Application Development"
   },
   {
     "id": 37,
@@ -495,7 +532,8 @@ const QUESTION_SETS = {
       "Unlock Application master list"
     ],
     "correct": 0,
-    "explanation": "A - Testing and visibility"
+    "explanation": "A - Testing and visibility",
+    "domain": "Other"
   },
   {
     "id": 38,
@@ -507,7 +545,8 @@ const QUESTION_SETS = {
       "The language dictionary used for spell checking"
     ],
     "correct": 1,
-    "explanation": "B - Definition for each table and column"
+    "explanation": "B - Definition for each table and column",
+    "domain": "Database"
   },
   {
     "id": 39,
@@ -519,7 +558,8 @@ const QUESTION_SETS = {
       "Insert saves changes and remains on the form, Update saves changes and exits the form"
     ],
     "correct": 0,
-    "explanation": "A - Both remain on form"
+    "explanation": "A - Both remain on form",
+    "domain": "Collaboration"
   },
   {
     "id": 40,
@@ -531,7 +571,8 @@ const QUESTION_SETS = {
       "Event Log is the same as the Event Registry"
     ],
     "correct": 0,
-    "explanation": "A - Event Log has generated events, Registry has definitions"
+    "explanation": "A - Event Log has generated events, Registry has definitions",
+    "domain": "Application Development"
   },
   {
     "id": 41,
@@ -543,7 +584,8 @@ const QUESTION_SETS = {
       "A Dictionary Override sets field properties in extended tables"
     ],
     "correct": 3,
-    "explanation": "D - Sets field properties in extended tables"
+    "explanation": "D - Sets field properties in extended tables",
+    "domain": "Database"
   },
   {
     "id": 42,
@@ -555,7 +597,8 @@ const QUESTION_SETS = {
       "Assignment Rules"
     ],
     "correct": 2,
-    "explanation": "C - Roles"
+    "explanation": "C - Roles",
+    "domain": "Application Development"
   },
   {
     "id": 43,
@@ -567,7 +610,8 @@ const QUESTION_SETS = {
       "A Record Producer is a type of a Catalog Item that allows users to create task-based records from the Service Catalog"
     ],
     "correct": 3,
-    "explanation": "D - Create task-based records from catalog"
+    "explanation": "D - Create task-based records from catalog",
+    "domain": "Self-Service"
   },
   {
     "id": 44,
@@ -579,7 +623,8 @@ const QUESTION_SETS = {
       "They direct the user to a catalog client script"
     ],
     "correct": 0,
-    "explanation": "A - Record producer"
+    "explanation": "A - Record producer",
+    "domain": "Self-Service"
   },
   {
     "id": 45,
@@ -591,7 +636,8 @@ const QUESTION_SETS = {
       "A repository for Update Set information"
     ],
     "correct": 2,
-    "explanation": "C - Staging area"
+    "explanation": "C - Staging area",
+    "domain": "Database"
   },
   {
     "id": 46,
@@ -603,7 +649,8 @@ const QUESTION_SETS = {
       "An existing Transform Map can be used multiple times on the same import set"
     ],
     "correct": 3,
-    "explanation": "D - Transform map can be used multiple times"
+    "explanation": "D - Transform map can be used multiple times",
+    "domain": "Database"
   },
   {
     "id": 47,
@@ -615,7 +662,8 @@ const QUESTION_SETS = {
       "Items"
     ],
     "correct": 1,
-    "explanation": "B - Maintain Items"
+    "explanation": "B - Maintain Items",
+    "domain": "Self-Service"
   },
   {
     "id": 48,
@@ -627,7 +675,8 @@ const QUESTION_SETS = {
       "Form Designer"
     ],
     "correct": 2,
-    "explanation": "C - List Editor"
+    "explanation": "C - List Editor",
+    "domain": "Collaboration"
   },
   {
     "id": 49,
@@ -639,7 +688,8 @@ const QUESTION_SETS = {
       "Multiple Choice, Select Box, and Checkbox"
     ],
     "correct": 3,
-    "explanation": "D - Multiple Choice, Select Box, Checkbox"
+    "explanation": "D - Multiple Choice, Select Box, Checkbox",
+    "domain": "Self-Service"
   },
   {
     "id": 50,
@@ -651,7 +701,8 @@ const QUESTION_SETS = {
       "Workflows cannot be moved between instances"
     ],
     "correct": 0,
-    "explanation": "A - Update Sets"
+    "explanation": "A - Update Sets",
+    "domain": "Self-Service"
   },
   {
     "id": 51,
@@ -663,7 +714,8 @@ const QUESTION_SETS = {
       "Record Producers, Order Guides, and Item Variables"
     ],
     "correct": 0,
-    "explanation": "A - Record Producers, Order Guides, Catalog Items"
+    "explanation": "A - Record Producers, Order Guides, Catalog Items",
+    "domain": "Self-Service"
   },
   {
     "id": 52,
@@ -675,7 +727,8 @@ const QUESTION_SETS = {
       "The new table inherits all of the fields, but does not inherit Access Control rules, Client Scripts, and UI Policies of the parent table"
     ],
     "correct": 2,
-    "explanation": "C - Inherits all fields, can add unique fields"
+    "explanation": "C - Inherits all fields, can add unique fields",
+    "domain": "Database"
   },
   {
     "id": 53,
@@ -687,7 +740,8 @@ const QUESTION_SETS = {
       "Transactions log"
     ],
     "correct": 1,
-    "explanation": "B - Stats module"
+    "explanation": "B - Stats module",
+    "domain": "Other"
   },
   {
     "id": 54,
@@ -699,7 +753,8 @@ const QUESTION_SETS = {
       "Reviewed"
     ],
     "correct": 0,
-    "explanation": "A - Published"
+    "explanation": "A - Published",
+    "domain": "Self-Service"
   },
   {
     "id": 55,
@@ -711,7 +766,8 @@ const QUESTION_SETS = {
       "Connect Chat"
     ],
     "correct": 2,
-    "explanation": "C - Virtual Agent"
+    "explanation": "C - Virtual Agent",
+    "domain": "Collaboration"
   },
   {
     "id": 56,
@@ -723,7 +779,8 @@ const QUESTION_SETS = {
       "To present related records"
     ],
     "correct": 3,
-    "explanation": "D - Present related records"
+    "explanation": "D - Present related records",
+    "domain": "Collaboration"
   },
   {
     "id": 57,
@@ -735,7 +792,8 @@ const QUESTION_SETS = {
       "A Service Catalog flow generates three basic components: item variable types, tasks, and notifications"
     ],
     "correct": 2,
-    "explanation": "C - Drives fulfillment, sends notifications"
+    "explanation": "C - Drives fulfillment, sends notifications",
+    "domain": "Self-Service"
   },
   {
     "id": 58,
@@ -747,7 +805,8 @@ const QUESTION_SETS = {
       "Task"
     ],
     "correct": 3,
-    "explanation": "D - Task"
+    "explanation": "D - Task",
+    "domain": "Application Development"
   },
   {
     "id": 59,
@@ -764,7 +823,8 @@ const QUESTION_SETS = {
       2,
       3
     ],
-    "explanation": "B, C, D - Local database, LDAP, SSO"
+    "explanation": "B, C, D - Local database, LDAP, SSO",
+    "domain": "Other"
   },
   {
     "id": 60,
@@ -782,7 +842,8 @@ const QUESTION_SETS = {
       1,
       3
     ],
-    "explanation": "A, B, D - Roles, Conditional Expressions, Scripts"
+    "explanation": "A, B, D - Roles, Conditional Expressions, Scripts",
+    "domain": "Database"
   },
   {
     "id": 61,
@@ -794,7 +855,8 @@ const QUESTION_SETS = {
       "Content frame"
     ],
     "correct": 1,
-    "explanation": "B - Banner frame"
+    "explanation": "B - Banner frame",
+    "domain": "Other"
   },
   {
     "id": 62,
@@ -806,7 +868,8 @@ const QUESTION_SETS = {
       "Make active, set visibility, and save"
     ],
     "correct": 2,
-    "explanation": "C - Assign name, set visibility, save"
+    "explanation": "C - Assign name, set visibility, save",
+    "domain": "Collaboration"
   },
   {
     "id": 63,
@@ -818,7 +881,8 @@ const QUESTION_SETS = {
       "Incident > Assigned to me"
     ],
     "correct": 3,
-    "explanation": "D - Incident > Assigned to me"
+    "explanation": "D - Incident > Assigned to me",
+    "domain": "Application Development"
   },
   {
     "id": 64,
@@ -830,7 +894,8 @@ const QUESTION_SETS = {
       "Bookmarks"
     ],
     "correct": 2,
-    "explanation": "C - Tags"
+    "explanation": "C - Tags",
+    "domain": "Other"
   },
   {
     "id": 65,
@@ -842,7 +907,8 @@ const QUESTION_SETS = {
       "Assignment Rule"
     ],
     "correct": 0,
-    "explanation": "A - Template"
+    "explanation": "A - Template",
+    "domain": "Collaboration"
   },
   {
     "id": 66,
@@ -854,7 +920,8 @@ const QUESTION_SETS = {
       "A group defines a set of users that share the same job title"
     ],
     "correct": 1,
-    "explanation": "B - One record in sys_user_group table"
+    "explanation": "B - One record in sys_user_group table",
+    "domain": "Other"
   },
   {
     "id": 67,
@@ -866,7 +933,8 @@ const QUESTION_SETS = {
       "A role is a persona used in Live Feed Chat"
     ],
     "correct": 2,
-    "explanation": "C - One record in sys_user_role table"
+    "explanation": "C - One record in sys_user_role table",
+    "domain": "Other"
   },
   {
     "id": 68,
@@ -878,7 +946,8 @@ const QUESTION_SETS = {
       "An email file attachment"
     ],
     "correct": 1,
-    "explanation": "B - Tool for alerting users"
+    "explanation": "B - Tool for alerting users",
+    "domain": "Collaboration"
   },
   {
     "id": 69,
@@ -890,7 +959,8 @@ const QUESTION_SETS = {
       "Guided boards"
     ],
     "correct": 1,
-    "explanation": "B - Freeform (not a Visual Task Board type)"
+    "explanation": "B - Freeform (not a Visual Task Board type)",
+    "domain": "Collaboration"
   },
   {
     "id": 70,
@@ -905,7 +975,8 @@ const QUESTION_SETS = {
       2,
       3
     ],
-    "explanation": "C, D - Add users to groups, assign roles to groups"
+    "explanation": "C, D - Add users to groups, assign roles to groups",
+    "domain": "Other"
   },
   {
     "id": 71,
@@ -920,7 +991,8 @@ const QUESTION_SETS = {
       0,
       1
     ],
-    "explanation": "A, B - Business Rule, Workflow"
+    "explanation": "A, B - Business Rule, Workflow",
+    "domain": "Application Development"
   },
   {
     "id": 72,
@@ -932,7 +1004,8 @@ const QUESTION_SETS = {
       "Workflow [workflow]"
     ],
     "correct": 0,
-    "explanation": "A - Task table"
+    "explanation": "A - Task table",
+    "domain": "Collaboration"
   },
   {
     "id": 73,
@@ -944,7 +1017,8 @@ const QUESTION_SETS = {
       "A column contains data from one user and a record is one set of fields"
     ],
     "correct": 1,
-    "explanation": "B - Column is field, record is row"
+    "explanation": "B - Column is field, record is row",
+    "domain": "Database"
   },
   {
     "id": 74,
@@ -956,7 +1030,8 @@ const QUESTION_SETS = {
       "Unique 64-character identifier that is assigned to every record"
     ],
     "correct": 0,
-    "explanation": "A - Unique 32-character identifier"
+    "explanation": "A - Unique 32-character identifier",
+    "domain": "Database"
   },
   {
     "id": 75,
@@ -968,7 +1043,8 @@ const QUESTION_SETS = {
       "sys_abc"
     ],
     "correct": 2,
-    "explanation": "C - u_abc"
+    "explanation": "C - u_abc",
+    "domain": "Database"
   },
   {
     "id": 76,
@@ -980,7 +1056,8 @@ const QUESTION_SETS = {
       "For a specific CMDB Configuration item"
     ],
     "correct": 1,
-    "explanation": "B - Row, column, or table"
+    "explanation": "B - Row, column, or table",
+    "domain": "Database"
   },
   {
     "id": 77,
@@ -992,7 +1069,8 @@ const QUESTION_SETS = {
       "System Update Sets"
     ],
     "correct": 2,
-    "explanation": "C - System Import Sets"
+    "explanation": "C - System Import Sets",
+    "domain": "Application Development"
   },
   {
     "id": 78,
@@ -1004,7 +1082,8 @@ const QUESTION_SETS = {
       "Select Import Set, Select Transform Map, Run Transform"
     ],
     "correct": 1,
-    "explanation": "B - Load Data, Create Transform Map, Run Transform"
+    "explanation": "B - Load Data, Create Transform Map, Run Transform",
+    "domain": "Database"
   },
   {
     "id": 79,
@@ -1016,7 +1095,8 @@ const QUESTION_SETS = {
       "Cl Class Manager"
     ],
     "correct": 0,
-    "explanation": "A - CI Relationship Editor"
+    "explanation": "A - CI Relationship Editor",
+    "domain": "CMDB"
   },
   {
     "id": 80,
@@ -1028,7 +1108,8 @@ const QUESTION_SETS = {
       "Data Policies run only after UI Policies run successfully"
     ],
     "correct": 2,
-    "explanation": "C - Data Policy runs regardless of entry method, UI Policy for forms"
+    "explanation": "C - Data Policy runs regardless of entry method, UI Policy for forms",
+    "domain": "Application Development"
   },
   {
     "id": 81,
@@ -1040,7 +1121,8 @@ const QUESTION_SETS = {
       "Changes made to: table, forms, views, and fields"
     ],
     "correct": 3,
-    "explanation": "D - Tables, forms, views, fields"
+    "explanation": "D - Tables, forms, views, fields",
+    "domain": "Application Development"
   },
   {
     "id": 82,
@@ -1052,7 +1134,8 @@ const QUESTION_SETS = {
       "Verify Update Set is Complete, Retrieve, Preview, Commit"
     ],
     "correct": 0,
-    "explanation": "A - Verify Complete, Retrieve, Preview, Apply"
+    "explanation": "A - Verify Complete, Retrieve, Preview, Apply",
+    "domain": "Application Development"
   },
   {
     "id": 83,
@@ -1067,7 +1150,8 @@ const QUESTION_SETS = {
       1,
       0
     ],
-    "explanation": "B - A spoke"
+    "explanation": "B - A spoke",
+    "domain": "Self-Service"
   },
   {
     "id": 84,
@@ -1079,7 +1163,8 @@ const QUESTION_SETS = {
       "Application Scope"
     ],
     "correct": 3,
-    "explanation": "D - Application Scope"
+    "explanation": "D - Application Scope",
+    "domain": "Application Development"
   },
   {
     "id": 85,
@@ -1091,7 +1176,8 @@ const QUESTION_SETS = {
       "The role with the most permissions evaluates the rules first"
     ],
     "correct": 2,
-    "explanation": "C - Both row and field rules must be true"
+    "explanation": "C - Both row and field rules must be true",
+    "domain": "Database"
   },
   {
     "id": 86,
@@ -1103,7 +1189,8 @@ const QUESTION_SETS = {
       "Information Technology Infrastructure Library (ITIL)"
     ],
     "correct": 0,
-    "explanation": "A - CSDM"
+    "explanation": "A - CSDM",
+    "domain": "CMDB"
   },
   {
     "id": 87,
@@ -1116,7 +1203,8 @@ const QUESTION_SETS = {
       "The Assignment Group manager field is empty."
     ],
     "correct": 3,
-    "explanation": "D - Manager not member of Network/Hardware groups"
+    "explanation": "D - Manager not member of Network/Hardware groups",
+    "domain": "Collaboration"
   },
   {
     "id": 88,
@@ -1129,7 +1217,8 @@ const QUESTION_SETS = {
       "Activate application plugins only"
     ],
     "correct": 2,
-    "explanation": "C - Activate application spoke and plugins"
+    "explanation": "C - Activate application spoke and plugins",
+    "domain": "Self-Service"
   },
   {
     "id": 89,
@@ -1147,7 +1236,8 @@ const QUESTION_SETS = {
       3,
       4
     ],
-    "explanation": "A, D, E - Now Mobile, Service Portals, Now Platform UI"
+    "explanation": "A, D, E - Now Mobile, Service Portals, Now Platform UI",
+    "domain": "Other"
   },
   {
     "id": 90,
@@ -1165,7 +1255,8 @@ const QUESTION_SETS = {
       1,
       4
     ],
-    "explanation": "A, B, E, I - Homepages, Data, Schedules, Scheduled Jobs"
+    "explanation": "A, B, E, I - Homepages, Data, Schedules, Scheduled Jobs",
+    "domain": "Application Development"
   },
   {
     "id": 91,
@@ -1180,7 +1271,8 @@ const QUESTION_SETS = {
       1,
       2
     ],
-    "explanation": "B, C - Configure > Form Layout, Configure > Form Designer"
+    "explanation": "B, C - Configure > Form Layout, Configure > Form Designer",
+    "domain": "Application Development"
   },
   {
     "id": 92,
@@ -1193,7 +1285,8 @@ const QUESTION_SETS = {
       "CI Class Manager (CICM)"
     ],
     "correct": 0,
-    "explanation": "A - CSDM"
+    "explanation": "A - CSDM",
+    "domain": "CMDB"
   },
   {
     "id": 93,
@@ -1206,7 +1299,8 @@ const QUESTION_SETS = {
       "App Updated Set"
     ],
     "correct": 3,
-    "explanation": "D - Plugin"
+    "explanation": "D - Plugin",
+    "domain": "Application Development"
   },
   {
     "id": 94,
@@ -1220,7 +1314,8 @@ const QUESTION_SETS = {
       "sn_sys_id"
     ],
     "correct": 3,
-    "explanation": "D - sys_id"
+    "explanation": "D - sys_id",
+    "domain": "Database"
   },
   {
     "id": 95,
@@ -1232,7 +1327,8 @@ const QUESTION_SETS = {
       "Create Order Guide and use the User Criteria list to specify First Line [sn_first_line] role"
     ],
     "correct": 0,
-    "explanation": "A - Record Producer with Available For role"
+    "explanation": "A - Record Producer with Available For role",
+    "domain": "Collaboration"
   },
   {
     "id": 96,
@@ -1246,7 +1342,8 @@ const QUESTION_SETS = {
       "Local Sets"
     ],
     "correct": 0,
-    "explanation": "A - Update Sets"
+    "explanation": "A - Update Sets",
+    "domain": "Other"
   },
   {
     "id": 97,
@@ -1260,7 +1357,8 @@ const QUESTION_SETS = {
       "Star"
     ],
     "correct": 2,
-    "explanation": "C - Pencil"
+    "explanation": "C - Pencil",
+    "domain": "Collaboration"
   },
   {
     "id": 98,
@@ -1277,7 +1375,8 @@ const QUESTION_SETS = {
       1,
       4
     ],
-    "explanation": "B, E, H, I - Table, Script, Timing, Condition"
+    "explanation": "B, E, H, I - Table, Script, Timing, Condition",
+    "domain": "Application Development"
   },
   {
     "id": 99,
@@ -1290,7 +1389,8 @@ const QUESTION_SETS = {
       "Business Time Remaining"
     ],
     "correct": 1,
-    "explanation": "B - Service Level Agreements"
+    "explanation": "B - Service Level Agreements",
+    "domain": "Collaboration"
   },
   {
     "id": 100,
@@ -1303,7 +1403,8 @@ const QUESTION_SETS = {
       "Apply filter, right click on column header, select Create Report"
     ],
     "correct": 4,
-    "explanation": "E - Right click column header > Create Report"
+    "explanation": "E - Right click column header > Create Report",
+    "domain": "Collaboration"
   },
   {
     "id": 101,
@@ -1315,7 +1416,8 @@ const QUESTION_SETS = {
       "Mapping Dashboard"
     ],
     "correct": 2,
-    "explanation": "C - Mapping Assist"
+    "explanation": "C - Mapping Assist",
+    "domain": "Database"
   },
   {
     "id": 102,
@@ -1328,7 +1430,8 @@ const QUESTION_SETS = {
       "Stack Overflow"
     ],
     "correct": 0,
-    "explanation": "A - Knowledge"
+    "explanation": "A - Knowledge",
+    "domain": "Application Development"
   },
   {
     "id": 103,
@@ -1341,7 +1444,8 @@ const QUESTION_SETS = {
       "Have them correct the time zone on their computer."
     ],
     "correct": 1,
-    "explanation": "B - Use gear icon to set timezone"
+    "explanation": "B - Use gear icon to set timezone",
+    "domain": "Collaboration"
   },
   {
     "id": 104,
@@ -1358,7 +1462,8 @@ const QUESTION_SETS = {
       2,
       4
     ],
-    "explanation": "C, E, G - System Security > Security, ACL, High Security Settings"
+    "explanation": "C, E, G - System Security > Security, ACL, High Security Settings",
+    "domain": "Application Development"
   },
   {
     "id": 105,
@@ -1376,7 +1481,8 @@ const QUESTION_SETS = {
       2,
       3
     ],
-    "explanation": "A, C, D - Activate flows, impersonate requester, ensure manager specified"
+    "explanation": "A, C, D - Activate flows, impersonate requester, ensure manager specified",
+    "domain": "Self-Service"
   },
   {
     "id": 106,
@@ -1389,7 +1495,8 @@ const QUESTION_SETS = {
       "UI Policy"
     ],
     "correct": 4,
-    "explanation": "E - UI Policy"
+    "explanation": "E - UI Policy",
+    "domain": "Collaboration"
   },
   {
     "id": 107,
@@ -1401,7 +1508,8 @@ const QUESTION_SETS = {
       "Preview"
     ],
     "correct": 0,
-    "explanation": "A - Batch (Note: This is incorrect - should be Merge Update Sets)"
+    "explanation": "A - Batch (Note: This is incorrect - should be Merge Update Sets)",
+    "domain": "Application Development"
   },
   {
     "id": 108,
@@ -1413,7 +1521,8 @@ const QUESTION_SETS = {
       "security_admin"
     ],
     "correct": 2,
-    "explanation": "C - Object/Operation and Permissions"
+    "explanation": "C - Object/Operation and Permissions",
+    "domain": "Database"
   },
   {
     "id": 109,
@@ -1425,7 +1534,8 @@ const QUESTION_SETS = {
       "Funnel"
     ],
     "correct": 2,
-    "explanation": "C - Application"
+    "explanation": "C - Application",
+    "domain": "Application Development"
   },
   {
     "id": 110,
@@ -1438,7 +1548,8 @@ const QUESTION_SETS = {
       "Asset"
     ],
     "correct": 2,
-    "explanation": "C - Configuration item"
+    "explanation": "C - Configuration item",
+    "domain": "Other"
   },
   {
     "id": 111,
@@ -1451,7 +1562,8 @@ const QUESTION_SETS = {
       "Use a Dept_Mgr ACL on the HR service catalog"
     ],
     "correct": 1,
-    "explanation": "B - Add to catalog item's user criteria"
+    "explanation": "B - Add to catalog item's user criteria",
+    "domain": "Self-Service"
   },
   {
     "id": 112,
@@ -1464,7 +1576,8 @@ const QUESTION_SETS = {
       "Define the first condition; click > icon on breadcrumb, define second condition; press enter"
     ],
     "correct": 0,
-    "explanation": "A - Define condition, AND, define second, Run"
+    "explanation": "A - Define condition, AND, define second, Run",
+    "domain": "Collaboration"
   },
   {
     "id": 113,
@@ -1477,7 +1590,8 @@ const QUESTION_SETS = {
       "incident.major_incident"
     ],
     "correct": 4,
-    "explanation": "E - incident.major_incident"
+    "explanation": "E - incident.major_incident",
+    "domain": "Collaboration"
   },
   {
     "id": 114,
@@ -1489,7 +1603,8 @@ const QUESTION_SETS = {
       "Create one Catalog Item for Event Room Set Up; then use ACLs to control access."
     ],
     "correct": 1,
-    "explanation": "B - Create one item, publish to both catalogs"
+    "explanation": "B - Create one item, publish to both catalogs",
+    "domain": "Self-Service"
   },
   {
     "id": 115,
@@ -1502,7 +1617,8 @@ const QUESTION_SETS = {
       "End Impersonation"
     ],
     "correct": 1,
-    "explanation": "B - Log out and back in"
+    "explanation": "B - Log out and back in",
+    "domain": "Other"
   },
   {
     "id": 116,
@@ -1516,7 +1632,8 @@ const QUESTION_SETS = {
       "Lookup"
     ],
     "correct": 0,
-    "explanation": "A - Reference"
+    "explanation": "A - Reference",
+    "domain": "Database"
   },
   {
     "id": 117,
@@ -1529,7 +1646,8 @@ const QUESTION_SETS = {
       "Process Automation > Active Flows"
     ],
     "correct": 0,
-    "explanation": "A - Process Automation > Flow Designer"
+    "explanation": "A - Process Automation > Flow Designer",
+    "domain": "Self-Service"
   },
   {
     "id": 118,
@@ -1542,7 +1660,8 @@ const QUESTION_SETS = {
       "Reports > Create New"
     ],
     "correct": 1,
-    "explanation": "B - Reports > Getting Started"
+    "explanation": "B - Reports > Getting Started",
+    "domain": "Collaboration"
   },
   {
     "id": 119,
@@ -1555,7 +1674,8 @@ const QUESTION_SETS = {
       "Pull, Review, Push"
     ],
     "correct": 0,
-    "explanation": "A - Retrieve, Preview, Commit (Note: should be Apply not Commit)"
+    "explanation": "A - Retrieve, Preview, Commit (Note: should be Apply not Commit)",
+    "domain": "Application Development"
   },
   {
     "id": 120,
@@ -1568,7 +1688,8 @@ const QUESTION_SETS = {
       "Schedule Transform"
     ],
     "correct": 0,
-    "explanation": "A - Run Transform"
+    "explanation": "A - Run Transform",
+    "domain": "Database"
   },
   {
     "id": 121,
@@ -1584,7 +1705,8 @@ const QUESTION_SETS = {
       0,
       4
     ],
-    "explanation": "A, E - Context Menu > Group By, Column context menu > Group By"
+    "explanation": "A, E - Context Menu > Group By, Column context menu > Group By",
+    "domain": "Collaboration"
   },
   {
     "id": 122,
@@ -1597,7 +1719,8 @@ const QUESTION_SETS = {
       "Live Feed"
     ],
     "correct": 2,
-    "explanation": "C - Connect Chat"
+    "explanation": "C - Connect Chat",
+    "domain": "Collaboration"
   },
   {
     "id": 123,
@@ -1610,7 +1733,8 @@ const QUESTION_SETS = {
       "Read Only"
     ],
     "correct": 2,
-    "explanation": "C - Cannot Contribute"
+    "explanation": "C - Cannot Contribute",
+    "domain": "Self-Service"
   },
   {
     "id": 124,
@@ -1626,7 +1750,8 @@ const QUESTION_SETS = {
       0,
       4
     ],
-    "explanation": "A, E - List Editor, Update Selected Action"
+    "explanation": "A, E - List Editor, Update Selected Action",
+    "domain": "Other"
   },
   {
     "id": 125,
@@ -1643,7 +1768,8 @@ const QUESTION_SETS = {
       3,
       4
     ],
-    "explanation": "D, E - Knowledge Managers, Knowledge Category Managers"
+    "explanation": "D, E - Knowledge Managers, Knowledge Category Managers",
+    "domain": "Self-Service"
   },
   {
     "id": 126,
@@ -1656,7 +1782,8 @@ const QUESTION_SETS = {
       "Connect Chat"
     ],
     "correct": 4,
-    "explanation": "E - Connect Chat"
+    "explanation": "E - Connect Chat",
+    "domain": "Collaboration"
   },
   {
     "id": 127,
@@ -1673,7 +1800,8 @@ const QUESTION_SETS = {
       0,
       1
     ],
-    "explanation": "A, B - Tables & Columns, Dictionary"
+    "explanation": "A, B - Tables & Columns, Dictionary",
+    "domain": "Application Development"
   },
   {
     "id": 128,
@@ -1686,7 +1814,8 @@ const QUESTION_SETS = {
       "Updated-date trigger"
     ],
     "correct": 2,
-    "explanation": "C - Record-based trigger"
+    "explanation": "C - Record-based trigger",
+    "domain": "Self-Service"
   },
   {
     "id": 129,
@@ -1699,7 +1828,8 @@ const QUESTION_SETS = {
       "0/1"
     ],
     "correct": 1,
-    "explanation": "B - True/False"
+    "explanation": "B - True/False",
+    "domain": "Database"
   },
   {
     "id": 130,
@@ -1712,7 +1842,8 @@ const QUESTION_SETS = {
       "Knowledge > Overview"
     ],
     "correct": 0,
-    "explanation": "A - Knowledge > Home"
+    "explanation": "A - Knowledge > Home",
+    "domain": "Self-Service"
   },
   {
     "id": 131,
@@ -1726,7 +1857,8 @@ const QUESTION_SETS = {
       "Data Policy"
     ],
     "correct": 5,
-    "explanation": "F - Data Policy"
+    "explanation": "F - Data Policy",
+    "domain": "Application Development"
   },
   {
     "id": 132,
@@ -1740,7 +1872,8 @@ const QUESTION_SETS = {
       "Process User"
     ],
     "correct": 5,
-    "explanation": "F - Process User"
+    "explanation": "F - Process User",
+    "domain": "Self-Service"
   },
   {
     "id": 133,
@@ -1753,7 +1886,8 @@ const QUESTION_SETS = {
       "Homepage Admin > Pages > Branding"
     ],
     "correct": 2,
-    "explanation": "C - System Properties > Basic Configuration UI16"
+    "explanation": "C - System Properties > Basic Configuration UI16",
+    "domain": "Application Development"
   },
   {
     "id": 134,
@@ -1766,7 +1900,8 @@ const QUESTION_SETS = {
       "LDAP"
     ],
     "correct": 3,
-    "explanation": "D - CMDB"
+    "explanation": "D - CMDB",
+    "domain": "CMDB"
   },
   {
     "id": 135,
@@ -1778,7 +1913,8 @@ const QUESTION_SETS = {
       "Load Data"
     ],
     "correct": 3,
-    "explanation": "D - Load Data"
+    "explanation": "D - Load Data",
+    "domain": "Application Development"
   },
   {
     "id": 136,
@@ -1791,7 +1927,8 @@ const QUESTION_SETS = {
       "Workflow Designer"
     ],
     "correct": 1,
-    "explanation": "B - Flow Designer"
+    "explanation": "B - Flow Designer",
+    "domain": "Self-Service"
   },
   {
     "id": 137,
@@ -1804,7 +1941,8 @@ const QUESTION_SETS = {
       "Launch a NowChat window"
     ],
     "correct": 3,
-    "explanation": "D - Impersonate user"
+    "explanation": "D - Impersonate user",
+    "domain": "Application Development"
   },
   {
     "id": 138,
@@ -1817,7 +1955,8 @@ const QUESTION_SETS = {
       "Performance Analytics shows KPIs; Reporting does not."
     ],
     "correct": 0,
-    "explanation": "A - Performance Analytics has snapshots over time"
+    "explanation": "A - Performance Analytics has snapshots over time",
+    "domain": "Collaboration"
   },
   {
     "id": 139,
@@ -1831,7 +1970,8 @@ const QUESTION_SETS = {
       "Configure Options"
     ],
     "correct": 3,
-    "explanation": "D - Show Choices"
+    "explanation": "D - Show Choices",
+    "domain": "Collaboration"
   },
   {
     "id": 140,
@@ -1844,7 +1984,8 @@ const QUESTION_SETS = {
       "Click Gear > Notifications > New"
     ],
     "correct": 0,
-    "explanation": "A - System Notification > Email > Notifications"
+    "explanation": "A - System Notification > Email > Notifications",
+    "domain": "Application Development"
   },
   {
     "id": 141,
@@ -1857,7 +1998,8 @@ const QUESTION_SETS = {
       "Add the table reference using the slush bucket"
     ],
     "correct": 3,
-    "explanation": "D - Drag data pill onto flow"
+    "explanation": "D - Drag data pill onto flow",
+    "domain": "Self-Service"
   },
   {
     "id": 142,
@@ -1875,7 +2017,8 @@ const QUESTION_SETS = {
       2,
       5
     ],
-    "explanation": "A, C, F, I - Group, My reports, Global, All"
+    "explanation": "A, C, F, I - Group, My reports, Global, All",
+    "domain": "Collaboration"
   },
   {
     "id": 143,
@@ -1889,7 +2032,8 @@ const QUESTION_SETS = {
       "Import Designer"
     ],
     "correct": 3,
-    "explanation": "D - Transform Map"
+    "explanation": "D - Transform Map",
+    "domain": "Database"
   },
   {
     "id": 144,
@@ -1902,7 +2046,8 @@ const QUESTION_SETS = {
       "Now Support"
     ],
     "correct": 2,
-    "explanation": "C - Virtual Agent"
+    "explanation": "C - Virtual Agent",
+    "domain": "Collaboration"
   },
   {
     "id": 145,
@@ -1915,7 +2060,8 @@ const QUESTION_SETS = {
       "Flow Diagrams"
     ],
     "correct": 0,
-    "explanation": "A - Flows"
+    "explanation": "A - Flows",
+    "domain": "Self-Service"
   },
   {
     "id": 146,
@@ -1932,7 +2078,8 @@ const QUESTION_SETS = {
       1,
       2
     ],
-    "explanation": "B, C - Configure > Form Layout, Configure > Form Design"
+    "explanation": "B, C - Configure > Form Layout, Configure > Form Design",
+    "domain": "Collaboration"
   },
   {
     "id": 147,
@@ -1944,7 +2091,8 @@ const QUESTION_SETS = {
       "Extended"
     ],
     "correct": 1,
-    "explanation": "B - Many to Many"
+    "explanation": "B - Many to Many",
+    "domain": "Collaboration"
   },
   {
     "id": 148,
@@ -1956,7 +2104,8 @@ const QUESTION_SETS = {
       "Cake icon"
     ],
     "correct": 2,
-    "explanation": "C - Hamburger icon"
+    "explanation": "C - Hamburger icon",
+    "domain": "Collaboration"
   },
   {
     "id": 149,
@@ -1968,7 +2117,8 @@ const QUESTION_SETS = {
       "Group [u_sys_group]"
     ],
     "correct": 1,
-    "explanation": "B - sys_user_group"
+    "explanation": "B - sys_user_group",
+    "domain": "Database"
   },
   {
     "id": 150,
@@ -1980,7 +2130,8 @@ const QUESTION_SETS = {
       "UI Config"
     ],
     "correct": 2,
-    "explanation": "C - UI Actions"
+    "explanation": "C - UI Actions",
+    "domain": "Collaboration"
   },
   {
     "id": 151,
@@ -1992,7 +2143,8 @@ const QUESTION_SETS = {
       "Before, Synchronous, Scheduled Job, View"
     ],
     "correct": 0,
-    "explanation": "A - Before, After, Async, Display"
+    "explanation": "A - Before, After, Async, Display",
+    "domain": "Application Development"
   },
   {
     "id": 152,
@@ -2011,7 +2163,8 @@ const QUESTION_SETS = {
       4,
       5
     ],
-    "explanation": "A, D, E, F - Local Sources, JDBC, Network Server, LDAP"
+    "explanation": "A, D, E, F - Local Sources, JDBC, Network Server, LDAP",
+    "domain": "Database"
   },
   {
     "id": 153,
@@ -2028,7 +2181,8 @@ const QUESTION_SETS = {
       2,
       4
     ],
-    "explanation": "A, C, E - Operator, Value, Field"
+    "explanation": "A, C, E - Operator, Value, Field",
+    "domain": "Collaboration"
   },
   {
     "id": 154,
@@ -2040,7 +2194,8 @@ const QUESTION_SETS = {
       "Log out and back in"
     ],
     "correct": 2,
-    "explanation": "C - End Impersonation"
+    "explanation": "C - End Impersonation",
+    "domain": "Other"
   },
   {
     "id": 155,
@@ -2053,7 +2208,8 @@ const QUESTION_SETS = {
       "State Lifecycle"
     ],
     "correct": 3,
-    "explanation": "D - Workflows"
+    "explanation": "D - Workflows",
+    "domain": "Self-Service"
   },
   {
     "id": 156,
@@ -2066,7 +2222,8 @@ const QUESTION_SETS = {
       "Auto-suggest Query"
     ],
     "correct": 0,
-    "explanation": "A - Natural Language Query"
+    "explanation": "A - Natural Language Query",
+    "domain": "Collaboration"
   },
   {
     "id": 157,
@@ -2083,7 +2240,8 @@ const QUESTION_SETS = {
       2,
       3
     ],
-    "explanation": "B, C, D - One Request > many RITMs, One RITM > many Approvals, One RITM > many Tasks"
+    "explanation": "B, C, D - One Request > many RITMs, One RITM > many Approvals, One RITM > many Tasks",
+    "domain": "Self-Service"
   },
   {
     "id": 158,
@@ -2095,7 +2253,8 @@ const QUESTION_SETS = {
       "Match Criteria"
     ],
     "correct": 0,
-    "explanation": "A - Operator"
+    "explanation": "A - Operator",
+    "domain": "Collaboration"
   },
   {
     "id": 159,
@@ -2107,7 +2266,8 @@ const QUESTION_SETS = {
       "A set of access control rules"
     ],
     "correct": 0,
-    "explanation": "A - Collection of permissions"
+    "explanation": "A - Collection of permissions",
+    "domain": "Other"
   },
   {
     "id": 160,
@@ -2120,7 +2280,8 @@ const QUESTION_SETS = {
       "User session has timed out"
     ],
     "correct": 3,
-    "explanation": "D - User has read but not write role"
+    "explanation": "D - User has read but not write role",
+    "domain": "Application Development"
   },
   {
     "id": 161,
@@ -2132,7 +2293,8 @@ const QUESTION_SETS = {
       "Common Service Data Model (CSDM) product view"
     ],
     "correct": 3,
-    "explanation": "D - CSDM product view"
+    "explanation": "D - CSDM product view",
+    "domain": "CMDB"
   },
   {
     "id": 162,
@@ -2145,7 +2307,8 @@ const QUESTION_SETS = {
       "Key Performance Indicators"
     ],
     "correct": 3,
-    "explanation": "D - Performance Analytics"
+    "explanation": "D - Performance Analytics",
+    "domain": "Other"
   },
   {
     "id": 163,
@@ -2162,7 +2325,8 @@ const QUESTION_SETS = {
       3,
       4
     ],
-    "explanation": "C, D, E - Reduces technical debt, less scripting, smooth 3rd party integration"
+    "explanation": "C, D, E - Reduces technical debt, less scripting, smooth 3rd party integration",
+    "domain": "Self-Service"
   },
   {
     "id": 164,
@@ -2175,7 +2339,8 @@ const QUESTION_SETS = {
       "On the Impersonator role record, right click and select Create Log"
     ],
     "correct": 2,
-    "explanation": "C - Activate glide.sys.log_impersonation"
+    "explanation": "C - Activate glide.sys.log_impersonation",
+    "domain": "Other"
   },
   {
     "id": 165,
@@ -2188,7 +2353,8 @@ const QUESTION_SETS = {
       "Input runtime value"
     ],
     "correct": 3,
-    "explanation": "D - Data pill runtime value"
+    "explanation": "D - Data pill runtime value",
+    "domain": "Self-Service"
   },
   {
     "id": 166,
@@ -2201,7 +2367,8 @@ const QUESTION_SETS = {
       "Insert + Verify"
     ],
     "correct": 0,
-    "explanation": "A - Request + Response"
+    "explanation": "A - Request + Response",
+    "domain": "Other"
   },
   {
     "id": 167,
@@ -2213,7 +2380,8 @@ const QUESTION_SETS = {
       "All rows are treated as new records, but errors will be flagged in the import log."
     ],
     "correct": 1,
-    "explanation": "B - All rows treated as new records"
+    "explanation": "B - All rows treated as new records",
+    "domain": "Database"
   },
   {
     "id": 168,
@@ -2226,7 +2394,8 @@ const QUESTION_SETS = {
       "Base Admin [base_admin]"
     ],
     "correct": 3,
-    "explanation": "D - System Administrator [admin]"
+    "explanation": "D - System Administrator [admin]",
+    "domain": "Other"
   },
   {
     "id": 169,
@@ -2238,7 +2407,8 @@ const QUESTION_SETS = {
       "User Criteria"
     ],
     "correct": 3,
-    "explanation": "D - User Criteria"
+    "explanation": "D - User Criteria",
+    "domain": "Self-Service"
   },
   {
     "id": 170,
@@ -2251,7 +2421,8 @@ const QUESTION_SETS = {
       "Item"
     ],
     "correct": 1,
-    "explanation": "B - Field"
+    "explanation": "B - Field",
+    "domain": "Database"
   },
   {
     "id": 171,
@@ -2263,7 +2434,8 @@ const QUESTION_SETS = {
       "Option"
     ],
     "correct": 0,
-    "explanation": "A - Choice"
+    "explanation": "A - Choice",
+    "domain": "Collaboration"
   },
   {
     "id": 172,
@@ -2275,7 +2447,8 @@ const QUESTION_SETS = {
       "User [s_user]"
     ],
     "correct": 0,
-    "explanation": "A - sys_user"
+    "explanation": "A - sys_user",
+    "domain": "Database"
   },
   {
     "id": 173,
@@ -2288,7 +2461,8 @@ const QUESTION_SETS = {
       "Emails"
     ],
     "correct": 0,
-    "explanation": "A - Notifications"
+    "explanation": "A - Notifications",
+    "domain": "Application Development"
   },
   {
     "id": 174,
@@ -2300,7 +2474,8 @@ const QUESTION_SETS = {
       "Connect Agent"
     ],
     "correct": 1,
-    "explanation": "B - Virtual Agent"
+    "explanation": "B - Virtual Agent",
+    "domain": "Self-Service"
   },
   {
     "id": 175,
@@ -2312,7 +2487,8 @@ const QUESTION_SETS = {
       "knowledge_admin"
     ],
     "correct": 3,
-    "explanation": "D - knowledge_admin"
+    "explanation": "D - knowledge_admin",
+    "domain": "Self-Service"
   },
   {
     "id": 176,
@@ -2324,7 +2500,8 @@ const QUESTION_SETS = {
       "A Client Script executes before a record is loaded and a Business Rule executes after a record is updated"
     ],
     "correct": 2,
-    "explanation": "C - Client Script on client, Business Rule on server"
+    "explanation": "C - Client Script on client, Business Rule on server",
+    "domain": "Application Development"
   },
   {
     "id": 177,
@@ -2344,7 +2521,8 @@ const QUESTION_SETS = {
       3,
       5
     ],
-    "explanation": "A, B, C, D, F - Choose from My Groups Work, on-call schedules, location, skills, availability"
+    "explanation": "A, B, C, D, F - Choose from My Groups Work, on-call schedules, location, skills, availability",
+    "domain": "Collaboration"
   },
   {
     "id": 178,
@@ -2356,7 +2534,8 @@ const QUESTION_SETS = {
       "Joins"
     ],
     "correct": 1,
-    "explanation": "B - Dot Walking"
+    "explanation": "B - Dot Walking",
+    "domain": "Collaboration"
   },
   {
     "id": 179,
@@ -2374,7 +2553,8 @@ const QUESTION_SETS = {
       1,
       3
     ],
-    "explanation": "A, B, D, G, H - Browser tab title, module text color, base theme, header background, banner image"
+    "explanation": "A, B, D, G, H - Browser tab title, module text color, base theme, header background, banner image",
+    "domain": "Other"
   },
   {
     "id": 180,
@@ -2386,7 +2566,8 @@ const QUESTION_SETS = {
       "Sys IDs"
     ],
     "correct": 1,
-    "explanation": "B - Coalesce Fields"
+    "explanation": "B - Coalesce Fields",
+    "domain": "Database"
   },
   {
     "id": 181,
@@ -2398,7 +2579,8 @@ const QUESTION_SETS = {
       "Create Content Item"
     ],
     "correct": 0,
-    "explanation": "A - Create Record Producer"
+    "explanation": "A - Create Record Producer",
+    "domain": "Self-Service"
   },
   {
     "id": 182,
@@ -2410,7 +2592,8 @@ const QUESTION_SETS = {
       "Ensures user has access to a table, before evaluating access to a field in the table"
     ],
     "correct": 3,
-    "explanation": "D - User has table access before field access"
+    "explanation": "D - User has table access before field access",
+    "domain": "Database"
   },
   {
     "id": 183,
@@ -2422,7 +2605,8 @@ const QUESTION_SETS = {
       "Database View"
     ],
     "correct": 1,
-    "explanation": "B - Dependency View"
+    "explanation": "B - Dependency View",
+    "domain": "CMDB"
   },
   {
     "id": 184,
@@ -2434,7 +2618,8 @@ const QUESTION_SETS = {
       "Work, Caller, Timecard"
     ],
     "correct": 2,
-    "explanation": "C - User, Task, Incident"
+    "explanation": "C - User, Task, Incident",
+    "domain": "Database"
   },
   {
     "id": 185,
@@ -2446,7 +2631,8 @@ const QUESTION_SETS = {
       "Can Read"
     ],
     "correct": 3,
-    "explanation": "D - Can Read"
+    "explanation": "D - Can Read",
+    "domain": "Self-Service"
   },
   {
     "id": 186,
@@ -2463,7 +2649,8 @@ const QUESTION_SETS = {
       3,
       4
     ],
-    "explanation": "A, D, E - Field Layout, Field Picker, Form Layout"
+    "explanation": "A, D, E - Field Layout, Field Picker, Form Layout",
+    "domain": "Collaboration"
   },
   {
     "id": 187,
@@ -2475,7 +2662,8 @@ const QUESTION_SETS = {
       "User Criteria"
     ],
     "correct": 3,
-    "explanation": "D - User Criteria"
+    "explanation": "D - User Criteria",
+    "domain": "Self-Service"
   },
   {
     "id": 188,
@@ -2493,7 +2681,8 @@ const QUESTION_SETS = {
       5,
       0
     ],
-    "explanation": "C, F, (A optional) - cmdb_rel_ci, cmdb_ci, (cmdb)"
+    "explanation": "C, F, (A optional) - cmdb_rel_ci, cmdb_ci, (cmdb)",
+    "domain": "CMDB"
   },
   {
     "id": 189,
@@ -2505,7 +2694,8 @@ const QUESTION_SETS = {
       "Keep Default update set to maximum of 20 records, for troubleshooting purposes"
     ],
     "correct": 2,
-    "explanation": "C - Should not use Default Update Set"
+    "explanation": "C - Should not use Default Update Set",
+    "domain": "Application Development"
   },
   {
     "id": 190,
@@ -2517,7 +2707,8 @@ const QUESTION_SETS = {
       "Banner"
     ],
     "correct": 3,
-    "explanation": "D - Banner"
+    "explanation": "D - Banner",
+    "domain": "Other"
   },
   {
     "id": 191,
@@ -2529,7 +2720,8 @@ const QUESTION_SETS = {
       "Import Management"
     ],
     "correct": 1,
-    "explanation": "B - System Import Sets"
+    "explanation": "B - System Import Sets",
+    "domain": "Application Development"
   },
   {
     "id": 192,
@@ -2542,7 +2734,8 @@ const QUESTION_SETS = {
       "Users with kb_user role"
     ],
     "correct": 2,
-    "explanation": "C - Any active user"
+    "explanation": "C - Any active user",
+    "domain": "Self-Service"
   },
   {
     "id": 193,
@@ -2555,7 +2748,8 @@ const QUESTION_SETS = {
       "Name: incident:*; Operation: write; Permission: itil"
     ],
     "correct": 0,
-    "explanation": "A - incident.None, Operation: create, Role: itil"
+    "explanation": "A - incident.None, Operation: create, Role: itil",
+    "domain": "Collaboration"
   },
   {
     "id": 194,
@@ -2567,7 +2761,8 @@ const QUESTION_SETS = {
       "Catalog items"
     ],
     "correct": 0,
-    "explanation": "A - Categories"
+    "explanation": "A - Categories",
+    "domain": "Self-Service"
   },
   {
     "id": 195,
@@ -2584,7 +2779,8 @@ const QUESTION_SETS = {
       3,
       4
     ],
-    "explanation": "C, D, E - Conditions, Who receives, Content"
+    "explanation": "C, D, E - Conditions, Who receives, Content",
+    "domain": "Collaboration"
   },
   {
     "id": 196,
@@ -2602,7 +2798,8 @@ const QUESTION_SETS = {
       4,
       5
     ],
-    "explanation": "B, E, F - Customer, Employee, IT Workflows"
+    "explanation": "B, E, F - Customer, Employee, IT Workflows",
+    "domain": "Self-Service"
   },
   {
     "id": 197,
@@ -2614,7 +2811,8 @@ const QUESTION_SETS = {
       "The manager is not a member of the Network and Hardware groups."
     ],
     "correct": 3,
-    "explanation": "D - Manager not member of groups"
+    "explanation": "D - Manager not member of groups",
+    "domain": "Collaboration"
   },
   {
     "id": 198,
@@ -2631,7 +2829,8 @@ const QUESTION_SETS = {
       1,
       4
     ],
-    "explanation": "A, B, E - Variable set, record producer with checkboxes, catalog item with checkboxes"
+    "explanation": "A, B, E - Variable set, record producer with checkboxes, catalog item with checkboxes",
+    "domain": "Collaboration"
   },
   {
     "id": 199,
@@ -2643,7 +2842,8 @@ const QUESTION_SETS = {
       "CSDM Schema"
     ],
     "correct": 0,
-    "explanation": "A - Dependency View"
+    "explanation": "A - Dependency View",
+    "domain": "CMDB"
   },
   {
     "id": 200,
@@ -2656,7 +2856,8 @@ const QUESTION_SETS = {
       "A department"
     ],
     "correct": 3,
-    "explanation": "D - Collection of users"
+    "explanation": "D - Collection of users",
+    "domain": "Other"
   },
   {
     "id": 201,
@@ -2675,7 +2876,8 @@ const QUESTION_SETS = {
       4,
       5
     ],
-    "explanation": "A, C, E, F - Group, My reports, Global, All"
+    "explanation": "A, C, E, F - Group, My reports, Global, All",
+    "domain": "Collaboration"
   },
   {
     "id": 202,
@@ -2688,7 +2890,8 @@ const QUESTION_SETS = {
       "Attribute"
     ],
     "correct": 3,
-    "explanation": "D - Field"
+    "explanation": "D - Field",
+    "domain": "Collaboration"
   },
   {
     "id": 203,
@@ -2701,7 +2904,8 @@ const QUESTION_SETS = {
       "Approval Criteria"
     ],
     "correct": 1,
-    "explanation": "B - Flows"
+    "explanation": "B - Flows",
+    "domain": "Self-Service"
   },
   {
     "id": 204,
@@ -2714,7 +2918,8 @@ const QUESTION_SETS = {
       "User Groups [sn_user_groups]"
     ],
     "correct": 3,
-    "explanation": "D - sys_user_group"
+    "explanation": "D - sys_user_group",
+    "domain": "Database"
   },
   {
     "id": 205,
@@ -2731,7 +2936,8 @@ const QUESTION_SETS = {
       1,
       3
     ],
-    "explanation": "A, B, D - Groups/Users, Me, Everyone"
+    "explanation": "A, B, D - Groups/Users, Me, Everyone",
+    "domain": "Other"
   },
   {
     "id": 206,
@@ -2743,7 +2949,8 @@ const QUESTION_SETS = {
       "Import Map"
     ],
     "correct": 2,
-    "explanation": "C - Transform Map"
+    "explanation": "C - Transform Map",
+    "domain": "Application Development"
   },
   {
     "id": 207,
@@ -2755,7 +2962,8 @@ const QUESTION_SETS = {
       "Paperclip"
     ],
     "correct": 0,
-    "explanation": "A - Stamp"
+    "explanation": "A - Stamp",
+    "domain": "Collaboration"
   },
   {
     "id": 208,
@@ -2768,7 +2976,8 @@ const QUESTION_SETS = {
       "Shift F4, Shift F5"
     ],
     "correct": 2,
-    "explanation": "C - Arrows"
+    "explanation": "C - Arrows",
+    "domain": "Database"
   },
   {
     "id": 209,
@@ -2780,7 +2989,8 @@ const QUESTION_SETS = {
       "Table-level - most specific to most general, then Row-level - most specific to most general"
     ],
     "correct": 0,
-    "explanation": "A - Field-level (specific\u2192general), then Table-level (specific\u2192general)"
+    "explanation": "A - Field-level (specific\u2192general), then Table-level (specific\u2192general)",
+    "domain": "Database"
   },
   {
     "id": 210,
@@ -2792,7 +3002,8 @@ const QUESTION_SETS = {
       "Wiki"
     ],
     "correct": 2,
-    "explanation": "C - Help Panel (?)"
+    "explanation": "C - Help Panel (?)",
+    "domain": "Self-Service"
   },
   {
     "id": 211,
@@ -2805,7 +3016,8 @@ const QUESTION_SETS = {
       "Data"
     ],
     "correct": 4,
-    "explanation": "E - Data"
+    "explanation": "E - Data",
+    "domain": "Collaboration"
   },
   {
     "id": 212,
@@ -2817,7 +3029,8 @@ const QUESTION_SETS = {
       "Star"
     ],
     "correct": 3,
-    "explanation": "D - Star"
+    "explanation": "D - Star",
+    "domain": "Collaboration"
   },
   {
     "id": 213,
@@ -2829,7 +3042,8 @@ const QUESTION_SETS = {
       "Activate the application plug in, on your company's production instance."
     ],
     "correct": 2,
-    "explanation": "C - Activate on personal dev instance"
+    "explanation": "C - Activate on personal dev instance",
+    "domain": "Application Development"
   },
   {
     "id": 214,
@@ -2842,7 +3056,8 @@ const QUESTION_SETS = {
       "Click Funnel icon, type Hardware and click enter"
     ],
     "correct": 2,
-    "explanation": "C - Right click value > Show Matching"
+    "explanation": "C - Right click value > Show Matching",
+    "domain": "Collaboration"
   },
   {
     "id": 215,
@@ -2854,7 +3069,8 @@ const QUESTION_SETS = {
       "Click List Magnifier to expand column search, on Short Description, type %email, click enter"
     ],
     "correct": 0,
-    "explanation": "A - List Magnifier, type email, enter"
+    "explanation": "A - List Magnifier, type email, enter",
+    "domain": "Application Development"
   },
   {
     "id": 216,
@@ -2867,7 +3083,8 @@ const QUESTION_SETS = {
       "Define Data Source"
     ],
     "correct": 4,
-    "explanation": "E - Define Data Source"
+    "explanation": "E - Define Data Source",
+    "domain": "Database"
   },
   {
     "id": 217,
@@ -2879,7 +3096,8 @@ const QUESTION_SETS = {
       "A Configuration Item can belong to multiple Classes, and Classes can contain multiple Configuration Items."
     ],
     "correct": 0,
-    "explanation": "A - Vendors/products many-to-many"
+    "explanation": "A - Vendors/products many-to-many",
+    "domain": "Database"
   },
   {
     "id": 218,
@@ -2891,7 +3109,8 @@ const QUESTION_SETS = {
       "Journal"
     ],
     "correct": 2,
-    "explanation": "C - Activity"
+    "explanation": "C - Activity",
+    "domain": "Collaboration"
   },
   {
     "id": 219,
@@ -2903,7 +3122,8 @@ const QUESTION_SETS = {
       "Create Order Guide"
     ],
     "correct": 3,
-    "explanation": "D - Create Order Guide"
+    "explanation": "D - Create Order Guide",
+    "domain": "Collaboration"
   },
   {
     "id": 220,
@@ -2915,7 +3135,8 @@ const QUESTION_SETS = {
       "Transform Map"
     ],
     "correct": 1,
-    "explanation": "B - Relationships"
+    "explanation": "B - Relationships",
+    "domain": "CMDB"
   },
   {
     "id": 221,
@@ -2927,7 +3148,8 @@ const QUESTION_SETS = {
       "Magnifier"
     ],
     "correct": 0,
-    "explanation": "A - Gear"
+    "explanation": "A - Gear",
+    "domain": "Collaboration"
   },
   {
     "id": 222,
@@ -2939,7 +3161,8 @@ const QUESTION_SETS = {
       "Python"
     ],
     "correct": 1,
-    "explanation": "B - JavaScript"
+    "explanation": "B - JavaScript",
+    "domain": "Application Development"
   },
   {
     "id": 223,
@@ -2958,7 +3181,8 @@ const QUESTION_SETS = {
       4,
       5
     ],
-    "explanation": "A, C, E, F - List Links, Buttons, Context Menu, Control"
+    "explanation": "A, C, E, F - List Links, Buttons, Context Menu, Control",
+    "domain": "Application Development"
   },
   {
     "id": 224,
@@ -2971,7 +3195,8 @@ const QUESTION_SETS = {
       "Create an Order Guide, which includes all variables; then copy and hide variables as needed."
     ],
     "correct": 1,
-    "explanation": "B - Create one variable set, add to all items"
+    "explanation": "B - Create one variable set, add to all items",
+    "domain": "Self-Service"
   },
   {
     "id": 225,
@@ -2983,7 +3208,8 @@ const QUESTION_SETS = {
       "Select Service Desk > My Work Dashboard"
     ],
     "correct": 0,
-    "explanation": "A - Activity Stream icon"
+    "explanation": "A - Activity Stream icon",
+    "domain": "Collaboration"
   },
   {
     "id": 226,
@@ -2995,7 +3221,8 @@ const QUESTION_SETS = {
       "Can import"
     ],
     "correct": 2,
-    "explanation": "C - Can contribute"
+    "explanation": "C - Can contribute",
+    "domain": "Self-Service"
   },
   {
     "id": 227,
@@ -3008,7 +3235,8 @@ const QUESTION_SETS = {
       "Load Data"
     ],
     "correct": 3,
-    "explanation": "D - Create Transform Map"
+    "explanation": "D - Create Transform Map",
+    "domain": "Database"
   },
   {
     "id": 228,
@@ -3020,7 +3248,8 @@ const QUESTION_SETS = {
       "Inherit"
     ],
     "correct": 0,
-    "explanation": "A - Global"
+    "explanation": "A - Global",
+    "domain": "Application Development"
   },
   {
     "id": 229,
@@ -3032,7 +3261,8 @@ const QUESTION_SETS = {
       "Load the data; Create transform map; Transform data; Clean up import table"
     ],
     "correct": 3,
-    "explanation": "D - Load data, create map, transform, clean up"
+    "explanation": "D - Load data, create map, transform, clean up",
+    "domain": "Database"
   },
   {
     "id": 230,
@@ -3044,7 +3274,8 @@ const QUESTION_SETS = {
       "UI Policies and Client Scripts"
     ],
     "correct": 3,
-    "explanation": "D - UI Policies and Client Scripts"
+    "explanation": "D - UI Policies and Client Scripts",
+    "domain": "Application Development"
   },
   {
     "id": 231,
@@ -3059,7 +3290,8 @@ const QUESTION_SETS = {
       2,
       3
     ],
-    "explanation": "C, D - Tables, Tables & Columns"
+    "explanation": "C, D - Tables, Tables & Columns",
+    "domain": "Application Development"
   },
   {
     "id": 232,
@@ -3071,7 +3303,8 @@ const QUESTION_SETS = {
       "Create, Read, Write, Delete"
     ],
     "correct": 3,
-    "explanation": "D - Create, Read, Write, Delete"
+    "explanation": "D - Create, Read, Write, Delete",
+    "domain": "Database"
   },
   {
     "id": 233,
@@ -3083,7 +3316,8 @@ const QUESTION_SETS = {
       "A user is a field in the LDAP integration"
     ],
     "correct": 1,
-    "explanation": "B - Record in sys_user table"
+    "explanation": "B - Record in sys_user table",
+    "domain": "Other"
   },
   {
     "id": 234,
@@ -3095,7 +3329,8 @@ const QUESTION_SETS = {
       "CI Health Dashboard"
     ],
     "correct": 0,
-    "explanation": "A - CI Dependency View"
+    "explanation": "A - CI Dependency View",
+    "domain": "CMDB"
   },
   {
     "id": 235,
@@ -3107,7 +3342,8 @@ const QUESTION_SETS = {
       "Process Automation Designer"
     ],
     "correct": 3,
-    "explanation": "D - Process Automation Designer"
+    "explanation": "D - Process Automation Designer",
+    "domain": "Self-Service"
   },
   {
     "id": 236,
@@ -3123,7 +3359,8 @@ const QUESTION_SETS = {
       0,
       4
     ],
-    "explanation": "A, E - No itil role, not in group with itil role"
+    "explanation": "A, E - No itil role, not in group with itil role",
+    "domain": "Self-Service"
   },
   {
     "id": 237,
@@ -3140,7 +3377,8 @@ const QUESTION_SETS = {
       1,
       4
     ],
-    "explanation": "A, B, E - Add, Edit, New"
+    "explanation": "A, B, E - Add, Edit, New",
+    "domain": "Collaboration"
   },
   {
     "id": 238,
@@ -3152,7 +3390,8 @@ const QUESTION_SETS = {
       "Field Criteria Policy"
     ],
     "correct": 2,
-    "explanation": "C - Data Policy"
+    "explanation": "C - Data Policy",
+    "domain": "Application Development"
   },
   {
     "id": 239,
@@ -3164,7 +3403,8 @@ const QUESTION_SETS = {
       "Favorites"
     ],
     "correct": 0,
-    "explanation": "A - Application Navigator"
+    "explanation": "A - Application Navigator",
+    "domain": "Application Development"
   },
   {
     "id": 240,
@@ -3176,7 +3416,8 @@ const QUESTION_SETS = {
       "Catalog Formatter"
     ],
     "correct": 0,
-    "explanation": "A - Catalog Builder"
+    "explanation": "A - Catalog Builder",
+    "domain": "Self-Service"
   },
   {
     "id": 241,
@@ -3190,7 +3431,8 @@ const QUESTION_SETS = {
       "Drilldown"
     ],
     "correct": 2,
-    "explanation": "C - Reference"
+    "explanation": "C - Reference",
+    "domain": "Collaboration"
   },
   {
     "id": 242,
@@ -3202,7 +3444,8 @@ const QUESTION_SETS = {
       "On the Special Handling field, check the box"
     ],
     "correct": 1,
-    "explanation": "B - More options > Add Tag"
+    "explanation": "B - More options > Add Tag",
+    "domain": "Collaboration"
   },
   {
     "id": 243,
@@ -3214,7 +3457,8 @@ const QUESTION_SETS = {
       "Categories"
     ],
     "correct": 2,
-    "explanation": "C - User Criteria"
+    "explanation": "C - User Criteria",
+    "domain": "Self-Service"
   },
   {
     "id": 244,
@@ -3226,7 +3470,8 @@ const QUESTION_SETS = {
       "Create a separate update set for them"
     ],
     "correct": 0,
-    "explanation": "A - Manually add to update set"
+    "explanation": "A - Manually add to update set",
+    "domain": "Collaboration"
   },
   {
     "id": 245,
@@ -3238,7 +3483,8 @@ const QUESTION_SETS = {
       "sys_group"
     ],
     "correct": 2,
-    "explanation": "C - sys_user_group"
+    "explanation": "C - sys_user_group",
+    "domain": "Database"
   },
   {
     "id": 246,
@@ -3257,7 +3503,8 @@ const QUESTION_SETS = {
       3,
       4
     ],
-    "explanation": "B, C, D, E - Create Record, Ask for Approval, Look Up Record, Wait for Condition"
+    "explanation": "B, C, D, E - Create Record, Ask for Approval, Look Up Record, Wait for Condition",
+    "domain": "Self-Service"
   },
   {
     "id": 247,
@@ -3270,7 +3517,8 @@ const QUESTION_SETS = {
       "Approver [approver_user]"
     ],
     "correct": 4,
-    "explanation": "E - Approver [approver_user]"
+    "explanation": "E - Approver [approver_user]",
+    "domain": "Other"
   },
   {
     "id": 248,
@@ -3283,7 +3531,8 @@ const QUESTION_SETS = {
       "Can Author"
     ],
     "correct": 2,
-    "explanation": "C - Can Read (Note: Actually \"Cannot Contribute\" for NOT able to write)"
+    "explanation": "C - Can Read (Note: Actually \"Cannot Contribute\" for NOT able to write)",
+    "domain": "Self-Service"
   },
   {
     "id": 249,
@@ -3298,7 +3547,8 @@ const QUESTION_SETS = {
       0,
       2
     ],
-    "explanation": "A, C - Users, Groups"
+    "explanation": "A, C - Users, Groups",
+    "domain": "Collaboration"
   },
   {
     "id": 250,
@@ -3310,7 +3560,8 @@ const QUESTION_SETS = {
       "Style"
     ],
     "correct": 3,
-    "explanation": "D - Style"
+    "explanation": "D - Style",
+    "domain": "Collaboration"
   },
   {
     "id": 251,
@@ -3322,7 +3573,8 @@ const QUESTION_SETS = {
       "Base Class table is not extended from another table, Parent class tables may be extended from another table."
     ],
     "correct": 3,
-    "explanation": "D - Base not extended, Parent may be extended"
+    "explanation": "D - Base not extended, Parent may be extended",
+    "domain": "Database"
   },
   {
     "id": 252,
@@ -3341,7 +3593,8 @@ const QUESTION_SETS = {
       4,
       5
     ],
-    "explanation": "A, D, E, F - create, update, read, write"
+    "explanation": "A, D, E, F - create, update, read, write",
+    "domain": "Database"
   },
   {
     "id": 253,
@@ -3353,7 +3606,8 @@ const QUESTION_SETS = {
       "Chat bubbles"
     ],
     "correct": 2,
-    "explanation": "C - Gear"
+    "explanation": "C - Gear",
+    "domain": "Collaboration"
   },
   {
     "id": 254,
@@ -3365,7 +3619,8 @@ const QUESTION_SETS = {
       "Chat bubbles"
     ],
     "correct": 2,
-    "explanation": "C - Gear (duplicate question)"
+    "explanation": "C - Gear (duplicate question)",
+    "domain": "Collaboration"
   },
   {
     "id": 255,
@@ -3380,7 +3635,8 @@ const QUESTION_SETS = {
       0,
       2
     ],
-    "explanation": "A, C - Fields not in base, fields specific to extended"
+    "explanation": "A, C - Fields not in base, fields specific to extended",
+    "domain": "Database"
   },
   {
     "id": 256,
@@ -3395,7 +3651,8 @@ const QUESTION_SETS = {
       1,
       3
     ],
-    "explanation": "B, D - Configure Dictionary, Configure Column"
+    "explanation": "B, D - Configure Dictionary, Configure Column",
+    "domain": "Collaboration"
   },
   {
     "id": 257,
@@ -3407,7 +3664,8 @@ const QUESTION_SETS = {
       "Use System Administration > Elevate Roles module"
     ],
     "correct": 2,
-    "explanation": "C - Add security_admin role"
+    "explanation": "C - Add security_admin role",
+    "domain": "Other"
   },
   {
     "id": 258,
@@ -3420,7 +3678,8 @@ const QUESTION_SETS = {
       "Activity"
     ],
     "correct": 4,
-    "explanation": "E - Activity"
+    "explanation": "E - Activity",
+    "domain": "Other"
   },
   {
     "id": 259,
@@ -3432,7 +3691,8 @@ const QUESTION_SETS = {
       "System Definition > Dictionary; Select Table; Go to Related links and click Show Schema Map"
     ],
     "correct": 0,
-    "explanation": "A - System Definition > Tables > Related links > Show Schema Map"
+    "explanation": "A - System Definition > Tables > Related links > Show Schema Map",
+    "domain": "Database"
   },
   {
     "id": 260,
@@ -3444,7 +3704,8 @@ const QUESTION_SETS = {
       "ucmdb"
     ],
     "correct": 0,
-    "explanation": "A - cmdb_ci"
+    "explanation": "A - cmdb_ci",
+    "domain": "CMDB"
   },
   {
     "id": 261,
@@ -3456,7 +3717,8 @@ const QUESTION_SETS = {
       "A field is a record in a table."
     ],
     "correct": 2,
-    "explanation": "C - Table cell that stores data"
+    "explanation": "C - Table cell that stores data",
+    "domain": "Database"
   },
   {
     "id": 262,
@@ -3473,7 +3735,8 @@ const QUESTION_SETS = {
       3,
       4
     ],
-    "explanation": "C, D, E - Form Buttons, Context Menu, Links"
+    "explanation": "C, D, E - Form Buttons, Context Menu, Links",
+    "domain": "Application Development"
   },
   {
     "id": 263,
@@ -3485,7 +3748,8 @@ const QUESTION_SETS = {
       "Members of the ACME Managers group, and HR department, regardless of geography"
     ],
     "correct": 0,
-    "explanation": "A - Match All=Yes means members of ACME Managers AND HR AND North America"
+    "explanation": "A - Match All=Yes means members of ACME Managers AND HR AND North America",
+    "domain": "Self-Service"
   },
   {
     "id": 264,
@@ -3498,7 +3762,8 @@ const QUESTION_SETS = {
       "Field Icon"
     ],
     "correct": 0,
-    "explanation": "A - Data Pill"
+    "explanation": "A - Data Pill",
+    "domain": "Self-Service"
   },
   {
     "id": 265,
@@ -3511,7 +3776,8 @@ const QUESTION_SETS = {
       "Dictionary Design"
     ],
     "correct": 3,
-    "explanation": "D - UI Policy"
+    "explanation": "D - UI Policy",
+    "domain": "Collaboration"
   },
   {
     "id": 266,
@@ -3523,7 +3789,8 @@ const QUESTION_SETS = {
       "The Allow All role"
     ],
     "correct": 0,
-    "explanation": "A - Public setting"
+    "explanation": "A - Public setting",
+    "domain": "Self-Service"
   },
   {
     "id": 267,
@@ -3535,7 +3802,8 @@ const QUESTION_SETS = {
       "Administrators can write a Business Rule to send out an email to the Administrator when an Update is complete."
     ],
     "correct": 1,
-    "explanation": "B - Update notification in Notifications module"
+    "explanation": "B - Update notification in Notifications module",
+    "domain": "Collaboration"
   },
   {
     "id": 268,
@@ -3553,7 +3821,8 @@ const QUESTION_SETS = {
       2,
       3
     ],
-    "explanation": "A, B, C, D - Asset Management, Discovery, CMDB, Service Mapping (choose 3)"
+    "explanation": "A, B, C, D - Asset Management, Discovery, CMDB, Service Mapping (choose 3)",
+    "domain": "Other"
   },
   {
     "id": 269,
@@ -3570,7 +3839,8 @@ const QUESTION_SETS = {
       1,
       5
     ],
-    "explanation": "B, F, G, H, I - Incident is Child and Parent, Super Incident is Child, Task is Parent and Base"
+    "explanation": "B, F, G, H, I - Incident is Child and Parent, Super Incident is Child, Task is Parent and Base",
+    "domain": "Collaboration"
   },
   {
     "id": 270,
@@ -3582,7 +3852,8 @@ const QUESTION_SETS = {
       "Reporting"
     ],
     "correct": 1,
-    "explanation": "B - Performance Analytics"
+    "explanation": "B - Performance Analytics",
+    "domain": "Collaboration"
   },
   {
     "id": 271,
@@ -3594,7 +3865,8 @@ const QUESTION_SETS = {
       "Local script"
     ],
     "correct": 2,
-    "explanation": "C - Client script"
+    "explanation": "C - Client script",
+    "domain": "Application Development"
   },
   {
     "id": 272,
@@ -3611,7 +3883,8 @@ const QUESTION_SETS = {
       3,
       4
     ],
-    "explanation": "B, D, E - Global scope, write access tables, existing app scope"
+    "explanation": "B, D, E - Global scope, write access tables, existing app scope",
+    "domain": "Database"
   },
   {
     "id": 273,
@@ -3628,7 +3901,8 @@ const QUESTION_SETS = {
       1,
       3
     ],
-    "explanation": "A, B, D - Conditional Expressions, Roles, Script"
+    "explanation": "A, B, D - Conditional Expressions, Roles, Script",
+    "domain": "Database"
   },
   {
     "id": 274,
@@ -3640,7 +3914,8 @@ const QUESTION_SETS = {
       "Import Set"
     ],
     "correct": 3,
-    "explanation": "D - Import Set"
+    "explanation": "D - Import Set",
+    "domain": "Database"
   },
   {
     "id": 275,
@@ -3652,7 +3927,8 @@ const QUESTION_SETS = {
       "Server"
     ],
     "correct": 3,
-    "explanation": "D - Server"
+    "explanation": "D - Server",
+    "domain": "Application Development"
   },
   {
     "id": 276,
@@ -3664,7 +3940,8 @@ const QUESTION_SETS = {
       "Module"
     ],
     "correct": 0,
-    "explanation": "A - User Menu"
+    "explanation": "A - User Menu",
+    "domain": "Other"
   },
   {
     "id": 277,
@@ -3677,7 +3954,8 @@ const QUESTION_SETS = {
       "Incident table is a database view of the Task table"
     ],
     "correct": 1,
-    "explanation": "B - Incident extended from Task"
+    "explanation": "B - Incident extended from Task",
+    "domain": "Collaboration"
   },
   {
     "id": 278,
@@ -3690,7 +3968,8 @@ const QUESTION_SETS = {
       "Scope and Trigger Condition"
     ],
     "correct": 3,
-    "explanation": "D - Trigger and Condition"
+    "explanation": "D - Trigger and Condition",
+    "domain": "Self-Service"
   },
   {
     "id": 279,
@@ -3702,7 +3981,8 @@ const QUESTION_SETS = {
       "UI Policy"
     ],
     "correct": 0,
-    "explanation": "A - Assignment Rule"
+    "explanation": "A - Assignment Rule",
+    "domain": "Collaboration"
   },
   {
     "id": 280,
@@ -3715,7 +3995,8 @@ const QUESTION_SETS = {
       "Data"
     ],
     "correct": 4,
-    "explanation": "E - Data"
+    "explanation": "E - Data",
+    "domain": "Collaboration"
   },
   {
     "id": 281,
@@ -3727,7 +4008,8 @@ const QUESTION_SETS = {
       "Context Menu > Form Layout > add the 'Save' button."
     ],
     "correct": 1,
-    "explanation": "B - System Properties > UI Properties > glide.ui.advanced"
+    "explanation": "B - System Properties > UI Properties > glide.ui.advanced",
+    "domain": "Collaboration"
   },
   {
     "id": 282,
@@ -3740,7 +4022,8 @@ const QUESTION_SETS = {
       "CSDM"
     ],
     "correct": 1,
-    "explanation": "B - Data Policy"
+    "explanation": "B - Data Policy",
+    "domain": "Application Development"
   },
   {
     "id": 283,
@@ -3755,7 +4038,8 @@ const QUESTION_SETS = {
       3,
       0
     ],
-    "explanation": "D - A trigger"
+    "explanation": "D - A trigger",
+    "domain": "Self-Service"
   },
   {
     "id": 284,
@@ -3767,7 +4051,8 @@ const QUESTION_SETS = {
       "Topic"
     ],
     "correct": 0,
-    "explanation": "A - Breadcrumb"
+    "explanation": "A - Breadcrumb",
+    "domain": "Collaboration"
   },
   {
     "id": 285,
@@ -3780,7 +4065,8 @@ const QUESTION_SETS = {
       "glide.sys.admin_login"
     ],
     "correct": 3,
-    "explanation": "D - glide.sys.log_impersonation"
+    "explanation": "D - glide.sys.log_impersonation",
+    "domain": "Application Development"
   },
   {
     "id": 286,
@@ -3793,7 +4079,8 @@ const QUESTION_SETS = {
       "Knowledge-Centered Management"
     ],
     "correct": 1,
-    "explanation": "B - Knowledge Management"
+    "explanation": "B - Knowledge Management",
+    "domain": "Database"
   },
   {
     "id": 287,
@@ -3805,7 +4092,8 @@ const QUESTION_SETS = {
       "Click Personalize List"
     ],
     "correct": 0,
-    "explanation": "A - Right click column > Configure > List Layout"
+    "explanation": "A - Right click column > Configure > List Layout",
+    "domain": "Collaboration"
   },
   {
     "id": 288,
@@ -3818,7 +4106,8 @@ const QUESTION_SETS = {
       "Click Funnel icon, click AND, Select Resolved, is Not, State, click Run"
     ],
     "correct": 1,
-    "explanation": "B - Right click State column > Filter Out > Resolved"
+    "explanation": "B - Right click State column > Filter Out > Resolved",
+    "domain": "Collaboration"
   },
   {
     "id": 289,
@@ -3830,7 +4119,8 @@ const QUESTION_SETS = {
       "Item Admin [sn_item_admin]"
     ],
     "correct": 1,
-    "explanation": "B - Catalog Admin [catalog_admin]"
+    "explanation": "B - Catalog Admin [catalog_admin]",
+    "domain": "Other"
   },
   {
     "id": 290,
@@ -3843,7 +4133,8 @@ const QUESTION_SETS = {
       "Data Atlas"
     ],
     "correct": 3,
-    "explanation": "D - Dictionary"
+    "explanation": "D - Dictionary",
+    "domain": "Database"
   },
   {
     "id": 291,
@@ -3860,7 +4151,8 @@ const QUESTION_SETS = {
       3,
       4
     ],
-    "explanation": "C, D, E - Hidden, read-only, mandatory"
+    "explanation": "C, D, E - Hidden, read-only, mandatory",
+    "domain": "Application Development"
   },
   {
     "id": 292,
@@ -3872,7 +4164,8 @@ const QUESTION_SETS = {
       "onLoad()"
     ],
     "correct": 0,
-    "explanation": "A - onSubmit()"
+    "explanation": "A - onSubmit()",
+    "domain": "Application Development"
   },
   {
     "id": 293,
@@ -3888,7 +4181,8 @@ const QUESTION_SETS = {
       0,
       1
     ],
-    "explanation": "A, (B optional) - sc_req_item, (sc_task for catalog tasks)"
+    "explanation": "A, (B optional) - sc_req_item, (sc_task for catalog tasks)",
+    "domain": "Self-Service"
   },
   {
     "id": 294,
@@ -3900,7 +4194,8 @@ const QUESTION_SETS = {
       "Select the column to be personalized > Click Edit icon (Pencil) > Choose the options to personalize"
     ],
     "correct": 1,
-    "explanation": "B - Gear Icon > Personalize"
+    "explanation": "B - Gear Icon > Personalize",
+    "domain": "Collaboration"
   },
   {
     "id": 295,
@@ -3912,7 +4207,8 @@ const QUESTION_SETS = {
       "All > Service Catalog > Open Records > Items"
     ],
     "correct": 2,
-    "explanation": "C - All > Service Catalog > Requests"
+    "explanation": "C - All > Service Catalog > Requests",
+    "domain": "Self-Service"
   },
   {
     "id": 296,
@@ -3924,7 +4220,8 @@ const QUESTION_SETS = {
       "The Form Context menu > Configure > Table"
     ],
     "correct": 3,
-    "explanation": "D - Form Context menu > Configure > Table"
+    "explanation": "D - Form Context menu > Configure > Table",
+    "domain": "Collaboration"
   },
   {
     "id": 297,
@@ -3936,7 +4233,8 @@ const QUESTION_SETS = {
       "security_admin"
     ],
     "correct": 3,
-    "explanation": "D - security_admin"
+    "explanation": "D - security_admin",
+    "domain": "Collaboration"
   },
   {
     "id": 298,
@@ -3949,7 +4247,8 @@ const QUESTION_SETS = {
       "System Manager [sys_manager]"
     ],
     "correct": 2,
-    "explanation": "C - System Administrator [admin]"
+    "explanation": "C - System Administrator [admin]",
+    "domain": "Other"
   },
   {
     "id": 299,
@@ -3961,7 +4260,8 @@ const QUESTION_SETS = {
       "Map"
     ],
     "correct": 1,
-    "explanation": "B - Batch (Note: Wrong answer - should be Merge Update Sets)"
+    "explanation": "B - Batch (Note: Wrong answer - should be Merge Update Sets)",
+    "domain": "Application Development"
   },
   {
     "id": 300,
@@ -3974,7 +4274,8 @@ const QUESTION_SETS = {
       "Execute"
     ],
     "correct": 2,
-    "explanation": "C - Run"
+    "explanation": "C - Run",
+    "domain": "Collaboration"
   },
   {
     "id": 301,
@@ -3987,7 +4288,8 @@ const QUESTION_SETS = {
       "UI Policy"
     ],
     "correct": 0,
-    "explanation": "A - Predictive Intelligence"
+    "explanation": "A - Predictive Intelligence",
+    "domain": "Application Development"
   },
   {
     "id": 302,
@@ -3999,7 +4301,8 @@ const QUESTION_SETS = {
       "Automated Test Framework (ATF)"
     ],
     "correct": 3,
-    "explanation": "D - Automated Test Framework (ATF)"
+    "explanation": "D - Automated Test Framework (ATF)",
+    "domain": "Application Development"
   },
   {
     "id": 303,
@@ -4011,7 +4314,8 @@ const QUESTION_SETS = {
       "Record Producers"
     ],
     "correct": 3,
-    "explanation": "D - Record Producers"
+    "explanation": "D - Record Producers",
+    "domain": "Self-Service"
   },
   {
     "id": 304,
@@ -4024,7 +4328,8 @@ const QUESTION_SETS = {
       "Reports > Overview"
     ],
     "correct": 2,
-    "explanation": "C - Reports > View / Run"
+    "explanation": "C - Reports > View / Run",
+    "domain": "Application Development"
   },
   {
     "id": 305,
@@ -4037,7 +4342,8 @@ const QUESTION_SETS = {
       "User Authentication Rules"
     ],
     "correct": 1,
-    "explanation": "B - Access Control Rules"
+    "explanation": "B - Access Control Rules",
+    "domain": "Other"
   },
   {
     "id": 306,
@@ -4056,7 +4362,8 @@ const QUESTION_SETS = {
       3,
       4
     ],
-    "explanation": "A, C, D, E - Hardware group, Create account, itil group, Network group (choose 3)"
+    "explanation": "A, C, D, E - Hardware group, Create account, itil group, Network group (choose 3)",
+    "domain": "Other"
   },
   {
     "id": 307,
@@ -4068,7 +4375,8 @@ const QUESTION_SETS = {
       "Right click on any column header, Context Menu > Configure > List Layout"
     ],
     "correct": 3,
-    "explanation": "D - Right click column > Configure > List Layout"
+    "explanation": "D - Right click column > Configure > List Layout",
+    "domain": "Application Development"
   },
   {
     "id": 308,
@@ -4080,7 +4388,8 @@ const QUESTION_SETS = {
       "Instance Chat"
     ],
     "correct": 1,
-    "explanation": "B - Virtual Agent"
+    "explanation": "B - Virtual Agent",
+    "domain": "Self-Service"
   },
   {
     "id": 309,
@@ -4092,7 +4401,8 @@ const QUESTION_SETS = {
       "Paperclip"
     ],
     "correct": 0,
-    "explanation": "A - Stamp"
+    "explanation": "A - Stamp",
+    "domain": "Collaboration"
   },
   {
     "id": 310,
@@ -4105,7 +4415,8 @@ const QUESTION_SETS = {
       "A collection of tasks"
     ],
     "correct": 3,
-    "explanation": "D - Collection of users"
+    "explanation": "D - Collection of users",
+    "domain": "Other"
   },
   {
     "id": 311,
@@ -4117,7 +4428,8 @@ const QUESTION_SETS = {
       "Business Service Map"
     ],
     "correct": 2,
-    "explanation": "C - Dependency View"
+    "explanation": "C - Dependency View",
+    "domain": "CMDB"
   },
   {
     "id": 312,
@@ -4129,7 +4441,8 @@ const QUESTION_SETS = {
       "Pencil"
     ],
     "correct": 3,
-    "explanation": "D - Pencil"
+    "explanation": "D - Pencil",
+    "domain": "Collaboration"
   },
   {
     "id": 313,
@@ -4141,7 +4454,8 @@ const QUESTION_SETS = {
       "Transform Schema"
     ],
     "correct": 2,
-    "explanation": "C - Transform Map"
+    "explanation": "C - Transform Map",
+    "domain": "Database"
   },
   {
     "id": 314,
@@ -4153,7 +4467,8 @@ const QUESTION_SETS = {
       "Manually add them to the update set"
     ],
     "correct": 3,
-    "explanation": "D - Manually add to update set"
+    "explanation": "D - Manually add to update set",
+    "domain": "Collaboration"
   },
   {
     "id": 315,
@@ -4166,7 +4481,8 @@ const QUESTION_SETS = {
       "Flow Designer"
     ],
     "correct": 0,
-    "explanation": "A - Record Producers"
+    "explanation": "A - Record Producers",
+    "domain": "Self-Service"
   },
   {
     "id": 316,
@@ -4179,7 +4495,8 @@ const QUESTION_SETS = {
       "Can Author"
     ],
     "correct": 0,
-    "explanation": "A - Can Contribute"
+    "explanation": "A - Can Contribute",
+    "domain": "Self-Service"
   },
   {
     "id": 317,
@@ -4191,7 +4508,8 @@ const QUESTION_SETS = {
       "Business Rule Scripts"
     ],
     "correct": 0,
-    "explanation": "A - UI Policies (and Client Scripts)"
+    "explanation": "A - UI Policies (and Client Scripts)",
+    "domain": "Application Development"
   },
   {
     "id": 318,
@@ -4203,7 +4521,8 @@ const QUESTION_SETS = {
       "Transform Map"
     ],
     "correct": 1,
-    "explanation": "B - Relationships"
+    "explanation": "B - Relationships",
+    "domain": "Collaboration"
   },
   {
     "id": 319,
@@ -4215,7 +4534,8 @@ const QUESTION_SETS = {
       "Audit Log"
     ],
     "correct": 2,
-    "explanation": "C - Activity Stream"
+    "explanation": "C - Activity Stream",
+    "domain": "Collaboration"
   },
   {
     "id": 320,
@@ -4228,7 +4548,8 @@ const QUESTION_SETS = {
       "Service Offerings"
     ],
     "correct": 0,
-    "explanation": "A - Configuration Item"
+    "explanation": "A - Configuration Item",
+    "domain": "CMDB"
   },
   {
     "id": 321,
@@ -4241,7 +4562,8 @@ const QUESTION_SETS = {
       "Set Coalesce"
     ],
     "correct": 2,
-    "explanation": "C - Define Data Source"
+    "explanation": "C - Define Data Source",
+    "domain": "Database"
   },
   {
     "id": 322,
@@ -4256,7 +4578,8 @@ const QUESTION_SETS = {
       3,
       0
     ],
-    "explanation": "D - Load data, create map, transform, clean up (Note: A also valid)"
+    "explanation": "D - Load data, create map, transform, clean up (Note: A also valid)",
+    "domain": "Database"
   },
   {
     "id": 323,
@@ -4272,7 +4595,8 @@ const QUESTION_SETS = {
       1,
       3
     ],
-    "explanation": "B, D - Assign To Me on list, Right click > Assign to me"
+    "explanation": "B, D - Assign To Me on list, Right click > Assign to me",
+    "domain": "Collaboration"
   },
   {
     "id": 324,
@@ -4284,7 +4608,8 @@ const QUESTION_SETS = {
       "Transform Map"
     ],
     "correct": 3,
-    "explanation": "D - Transform Map"
+    "explanation": "D - Transform Map",
+    "domain": "Application Development"
   },
   {
     "id": 325,
@@ -4297,7 +4622,8 @@ const QUESTION_SETS = {
       "Knowledge Chat"
     ],
     "correct": 3,
-    "explanation": "D - Virtual Agent"
+    "explanation": "D - Virtual Agent",
+    "domain": "Collaboration"
   },
   {
     "id": 326,
@@ -4309,7 +4635,8 @@ const QUESTION_SETS = {
       "Help Panel (question mark icon)"
     ],
     "correct": 3,
-    "explanation": "D - Help Panel (?)"
+    "explanation": "D - Help Panel (?)",
+    "domain": "Self-Service"
   },
   {
     "id": 327,
@@ -4322,7 +4649,8 @@ const QUESTION_SETS = {
       "Field Alignment"
     ],
     "correct": 3,
-    "explanation": "D - Create Transform Map"
+    "explanation": "D - Create Transform Map",
+    "domain": "Database"
   },
   {
     "id": 328,
@@ -4334,7 +4662,8 @@ const QUESTION_SETS = {
       "More options (...)"
     ],
     "correct": 2,
-    "explanation": "C - Stamp"
+    "explanation": "C - Stamp",
+    "domain": "Collaboration"
   },
   {
     "id": 329,
@@ -4346,7 +4675,8 @@ const QUESTION_SETS = {
       "incident.None"
     ],
     "correct": 0,
-    "explanation": "A - incident.*"
+    "explanation": "A - incident.*",
+    "domain": "Collaboration"
   },
   {
     "id": 330,
@@ -4358,7 +4688,8 @@ const QUESTION_SETS = {
       "Navigate to sys_properties.list find the property glide.ui.personalize_form.role and set the Value to admin."
     ],
     "correct": 3,
-    "explanation": "D - sys_properties.list > glide.ui.personalize_form.role = admin"
+    "explanation": "D - sys_properties.list > glide.ui.personalize_form.role = admin",
+    "domain": "Collaboration"
   },
   {
     "id": 331,
@@ -4370,7 +4701,8 @@ const QUESTION_SETS = {
       "Dictionary"
     ],
     "correct": 2,
-    "explanation": "C - Activity formatter"
+    "explanation": "C - Activity formatter",
+    "domain": "Database"
   },
   {
     "id": 332,
@@ -4383,7 +4715,8 @@ const QUESTION_SETS = {
       "Monitor data quality and clean imported data, using the Data Scrub Workspace."
     ],
     "correct": 3,
-    "explanation": "D - Plan time to remove obsolete data"
+    "explanation": "D - Plan time to remove obsolete data",
+    "domain": "Database"
   },
   {
     "id": 333,
@@ -4395,7 +4728,8 @@ const QUESTION_SETS = {
       "A business rule"
     ],
     "correct": 1,
-    "explanation": "B - Client script"
+    "explanation": "B - Client script",
+    "domain": "Application Development"
   },
   {
     "id": 334,
@@ -4413,7 +4747,8 @@ const QUESTION_SETS = {
       4,
       5
     ],
-    "explanation": "D, E, F - Natural language descriptions, no-code, 3rd party integration"
+    "explanation": "D, E, F - Natural language descriptions, no-code, 3rd party integration",
+    "domain": "Self-Service"
   },
   {
     "id": 335,
@@ -4425,7 +4760,8 @@ const QUESTION_SETS = {
       "Import sets"
     ],
     "correct": 0,
-    "explanation": "A - Update sets"
+    "explanation": "A - Update sets",
+    "domain": "Collaboration"
   },
   {
     "id": 336,
@@ -4443,7 +4779,8 @@ const QUESTION_SETS = {
       4,
       5
     ],
-    "explanation": "B, E, F - Problem, Incident, Change Request"
+    "explanation": "B, E, F - Problem, Incident, Change Request",
+    "domain": "Collaboration"
   },
   {
     "id": 337,
@@ -4455,7 +4792,8 @@ const QUESTION_SETS = {
       "customer.*"
     ],
     "correct": 3,
-    "explanation": "D - customer.*"
+    "explanation": "D - customer.*",
+    "domain": "Database"
   },
   {
     "id": 338,
@@ -4473,7 +4811,8 @@ const QUESTION_SETS = {
       2,
       4
     ],
-    "explanation": "A, C, E - User, Incident, Task"
+    "explanation": "A, C, E - User, Incident, Task",
+    "domain": "Database"
   },
   {
     "id": 339,
@@ -4485,7 +4824,8 @@ const QUESTION_SETS = {
       "From the Can Read tab"
     ],
     "correct": 3,
-    "explanation": "D - Can Read tab"
+    "explanation": "D - Can Read tab",
+    "domain": "Self-Service"
   },
   {
     "id": 340,
@@ -4497,7 +4837,8 @@ const QUESTION_SETS = {
       "Impersonate the user"
     ],
     "correct": 3,
-    "explanation": "D - Impersonate user"
+    "explanation": "D - Impersonate user",
+    "domain": "Application Development"
   },
   {
     "id": 341,
@@ -4514,7 +4855,8 @@ const QUESTION_SETS = {
       3,
       4
     ],
-    "explanation": "B, D, E - Email, Messenger, SMS"
+    "explanation": "B, D, E - Email, Messenger, SMS",
+    "domain": "Application Development"
   },
   {
     "id": 342,
@@ -4526,7 +4868,8 @@ const QUESTION_SETS = {
       "Reference type fields"
     ],
     "correct": 2,
-    "explanation": "C - Template"
+    "explanation": "C - Template",
+    "domain": "Database"
   },
   {
     "id": 343,
@@ -4539,7 +4882,8 @@ const QUESTION_SETS = {
       "Save + Update"
     ],
     "correct": 1,
-    "explanation": "B - Request + Response"
+    "explanation": "B - Request + Response",
+    "domain": "Other"
   },
   {
     "id": 344,
@@ -4551,7 +4895,8 @@ const QUESTION_SETS = {
       "Catalog Items"
     ],
     "correct": 1,
-    "explanation": "B - Maintain Items"
+    "explanation": "B - Maintain Items",
+    "domain": "Self-Service"
   },
   {
     "id": 345,
@@ -4563,7 +4908,8 @@ const QUESTION_SETS = {
       "History Menu"
     ],
     "correct": 2,
-    "explanation": "C - Sidebar (Note: Activity formatter more accurate)"
+    "explanation": "C - Sidebar (Note: Activity formatter more accurate)",
+    "domain": "Collaboration"
   },
   {
     "id": 346,
@@ -4575,7 +4921,8 @@ const QUESTION_SETS = {
       "Context Menu > Form Layout"
     ],
     "correct": 2,
-    "explanation": "C - System Properties > UI Properties"
+    "explanation": "C - System Properties > UI Properties",
+    "domain": "Collaboration"
   },
   {
     "id": 347,
@@ -4594,7 +4941,8 @@ const QUESTION_SETS = {
       4,
       5
     ],
-    "explanation": "A, D, E, F - Async, Display, After, Before"
+    "explanation": "A, D, E, F - Async, Display, After, Before",
+    "domain": "Application Development"
   }
 ],
 
@@ -4611,7 +4959,8 @@ const QUESTION_SETS = {
       "activity"
     ],
     "correct": 5,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 2,
@@ -4630,7 +4979,8 @@ const QUESTION_SETS = {
       3,
       4
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 3,
@@ -4643,7 +4993,8 @@ const QUESTION_SETS = {
       "task flows"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 4,
@@ -4656,7 +5007,8 @@ const QUESTION_SETS = {
       "input runtime value"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 5,
@@ -4668,7 +5020,8 @@ const QUESTION_SETS = {
       "create on boarding bot"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 6,
@@ -4685,7 +5038,8 @@ const QUESTION_SETS = {
       2,
       4
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 7,
@@ -4698,7 +5052,8 @@ const QUESTION_SETS = {
       "any active user"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 8,
@@ -4710,7 +5065,8 @@ const QUESTION_SETS = {
       "right click on priority and select configure column"
     ],
     "correct": 4,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 9,
@@ -4724,7 +5080,8 @@ const QUESTION_SETS = {
       "can import"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 10,
@@ -4737,7 +5094,8 @@ const QUESTION_SETS = {
       "approval definitions"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 11,
@@ -4749,7 +5107,8 @@ const QUESTION_SETS = {
       "makes relating CIs easier, because predefined relationship suggests which type of CIs"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "CMDB"
   },
   {
     "id": 12,
@@ -4761,7 +5120,8 @@ const QUESTION_SETS = {
       "Hover on connection line"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "CMDB"
   },
   {
     "id": 13,
@@ -4775,7 +5135,8 @@ const QUESTION_SETS = {
       "Ecmdb_ci"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "CMDB"
   },
   {
     "id": 14,
@@ -4787,7 +5148,8 @@ const QUESTION_SETS = {
       "import set row table"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 15,
@@ -4799,7 +5161,8 @@ const QUESTION_SETS = {
       "key fields"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 16,
@@ -4811,7 +5174,8 @@ const QUESTION_SETS = {
       "transform map"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 17,
@@ -4823,7 +5187,8 @@ const QUESTION_SETS = {
       "Offering"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 18,
@@ -4836,7 +5201,8 @@ const QUESTION_SETS = {
       "key performance indicators."
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 19,
@@ -4849,7 +5215,8 @@ const QUESTION_SETS = {
       "element"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 20,
@@ -4862,7 +5229,8 @@ const QUESTION_SETS = {
       "try it"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 21,
@@ -4875,7 +5243,8 @@ const QUESTION_SETS = {
       "group by"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 22,
@@ -4888,7 +5257,8 @@ const QUESTION_SETS = {
       "diary"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 23,
@@ -4905,7 +5275,8 @@ const QUESTION_SETS = {
       1,
       3
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 24,
@@ -4918,7 +5289,8 @@ const QUESTION_SETS = {
       "That user account failed LDAP authentication"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 25,
@@ -4931,7 +5303,8 @@ const QUESTION_SETS = {
       "Escalation"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 26,
@@ -4943,7 +5316,8 @@ const QUESTION_SETS = {
       "company name, company logo, colour scheme"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 27,
@@ -4956,7 +5330,8 @@ const QUESTION_SETS = {
       "name the section"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 28,
@@ -4969,7 +5344,8 @@ const QUESTION_SETS = {
       "on the category column header, right click and select show > hardware."
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 29,
@@ -4982,7 +5358,8 @@ const QUESTION_SETS = {
       "A correction of users"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 30,
@@ -4994,7 +5371,8 @@ const QUESTION_SETS = {
       "activate the plugin on your production environment and start the default data"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 31,
@@ -5007,7 +5385,8 @@ const QUESTION_SETS = {
       "right click form header > form layout > add work note section"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 32,
@@ -5019,7 +5398,8 @@ const QUESTION_SETS = {
       "create inventory table as an extended table from the task table. then add the"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 33,
@@ -5032,7 +5412,8 @@ const QUESTION_SETS = {
       "click on the funnel icon and create copy"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 34,
@@ -5044,7 +5425,8 @@ const QUESTION_SETS = {
       "on the knowledge article, add user criteria for HR manager group on the can read"
     ],
     "correct": 4,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 35,
@@ -5057,7 +5439,8 @@ const QUESTION_SETS = {
       "Bob Smith does not have a delegate set up on his account"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 36,
@@ -5074,7 +5457,8 @@ const QUESTION_SETS = {
       4,
       5
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 37,
@@ -5089,7 +5473,8 @@ const QUESTION_SETS = {
       "Make it easier for developers to organise their work"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 38,
@@ -5102,7 +5487,8 @@ const QUESTION_SETS = {
       "trigger criteria and clock"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 39,
@@ -5115,7 +5501,8 @@ const QUESTION_SETS = {
       "form constraint"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 40,
@@ -5130,7 +5517,8 @@ const QUESTION_SETS = {
       "process flow manager"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 41,
@@ -5144,7 +5532,8 @@ const QUESTION_SETS = {
       "UI policies and client scripts"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 42,
@@ -5157,7 +5546,8 @@ const QUESTION_SETS = {
       "write+ read"
     ],
     "correct": 4,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 43,
@@ -5171,7 +5561,8 @@ const QUESTION_SETS = {
       "community"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 44,
@@ -5183,7 +5574,8 @@ const QUESTION_SETS = {
       "users which are members of either ACME North America, or HR department or"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 45,
@@ -5196,7 +5588,8 @@ const QUESTION_SETS = {
       "Query"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 46,
@@ -5210,7 +5603,8 @@ const QUESTION_SETS = {
       "from the record form header, click paperclip icon."
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 47,
@@ -5223,7 +5617,8 @@ const QUESTION_SETS = {
       "security incident response users"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 48,
@@ -5236,7 +5631,8 @@ const QUESTION_SETS = {
       "a Field"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 49,
@@ -5249,7 +5645,8 @@ const QUESTION_SETS = {
       "string"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 50,
@@ -5263,7 +5660,8 @@ const QUESTION_SETS = {
       "user menu"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 51,
@@ -5276,7 +5674,8 @@ const QUESTION_SETS = {
       "Security_admin"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 52,
@@ -5289,7 +5688,8 @@ const QUESTION_SETS = {
       "security operations and vulnerability response"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 53,
@@ -5301,7 +5701,8 @@ const QUESTION_SETS = {
       "right click on the approval number, select approved, click green check"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 54,
@@ -5317,7 +5718,8 @@ const QUESTION_SETS = {
       "animation style"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 55,
@@ -5330,7 +5732,8 @@ const QUESTION_SETS = {
       "Connect> agent workspace"
     ],
     "correct": 4,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 56,
@@ -5348,7 +5751,8 @@ const QUESTION_SETS = {
       3,
       5
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 57,
@@ -5360,7 +5764,8 @@ const QUESTION_SETS = {
       "to retire homepage"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 58,
@@ -5372,7 +5777,8 @@ const QUESTION_SETS = {
       "Before, after, Async, display"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 59,
@@ -5386,7 +5792,8 @@ const QUESTION_SETS = {
       "Glide"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 60,
@@ -5399,7 +5806,8 @@ const QUESTION_SETS = {
       "record rule"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 61,
@@ -5412,7 +5820,8 @@ const QUESTION_SETS = {
       "information portal management"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 62,
@@ -5427,7 +5836,8 @@ const QUESTION_SETS = {
       "spoke store"
     ],
     "correct": 4,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 63,
@@ -5439,7 +5849,8 @@ const QUESTION_SETS = {
       "Knowledge_base_admin"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 64,
@@ -5451,7 +5862,8 @@ const QUESTION_SETS = {
       "add fields"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 65,
@@ -5468,7 +5880,8 @@ const QUESTION_SETS = {
       "create a floor designer action, with variable set data pill; then apply flow to all of"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 66,
@@ -5481,7 +5894,8 @@ const QUESTION_SETS = {
       "monitor data quality and clean imported data using the data scrub workspace"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 67,
@@ -5495,7 +5909,8 @@ const QUESTION_SETS = {
       "IT service management (ITSM)"
     ],
     "correct": 4,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 68,
@@ -5507,7 +5922,8 @@ const QUESTION_SETS = {
       "set up LDAP; run auto map; transform data; clean up target table"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 69,
@@ -5520,7 +5936,8 @@ const QUESTION_SETS = {
       "parent child approvers"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 70,
@@ -5532,7 +5949,8 @@ const QUESTION_SETS = {
       "all rows or rejected from the import, as coalesce field is required"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 71,
@@ -5546,7 +5964,8 @@ const QUESTION_SETS = {
       "transform dashboard"
     ],
     "correct": 5,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 72,
@@ -5559,7 +5978,8 @@ const QUESTION_SETS = {
       "create transform app"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 73,
@@ -5573,7 +5993,8 @@ const QUESTION_SETS = {
       "start icon"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 74,
@@ -5586,7 +6007,8 @@ const QUESTION_SETS = {
       "plugins are prohibited in personal developer instances"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 75,
@@ -5599,7 +6021,8 @@ const QUESTION_SETS = {
       "Xray search table"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 76,
@@ -5612,7 +6035,8 @@ const QUESTION_SETS = {
       "Sn_itil"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 77,
@@ -5624,7 +6048,8 @@ const QUESTION_SETS = {
       "click on the \u2026. icon, click add tag, type special handling, press enter"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 78,
@@ -5640,7 +6065,8 @@ const QUESTION_SETS = {
       0,
       1
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 79,
@@ -5653,7 +6079,8 @@ const QUESTION_SETS = {
       "chat bubbles"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 80,
@@ -5666,7 +6093,8 @@ const QUESTION_SETS = {
       "have them clear their cache"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 81,
@@ -5679,7 +6107,8 @@ const QUESTION_SETS = {
       "show them how to export to excel format"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 82,
@@ -5691,7 +6120,8 @@ const QUESTION_SETS = {
       "base configuration item, configuration item, base task"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 83,
@@ -5713,7 +6143,8 @@ const QUESTION_SETS = {
       6,
       7
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 84,
@@ -5726,7 +6157,8 @@ const QUESTION_SETS = {
       "child CI tab"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "CMDB"
   },
   {
     "id": 85,
@@ -5740,7 +6172,8 @@ const QUESTION_SETS = {
       "service catalog[sc_catalog]"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 86,
@@ -5753,7 +6186,8 @@ const QUESTION_SETS = {
       "from the user icon, select elevate roles"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 87,
@@ -5766,7 +6200,8 @@ const QUESTION_SETS = {
       "click the gear and check the tab option"
     ],
     "correct": 4,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 88,
@@ -5779,7 +6214,8 @@ const QUESTION_SETS = {
       "create a report template"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 89,
@@ -5797,7 +6233,8 @@ const QUESTION_SETS = {
       0,
       2
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 90,
@@ -5816,7 +6253,8 @@ const QUESTION_SETS = {
       3,
       6
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 91,
@@ -5829,7 +6267,8 @@ const QUESTION_SETS = {
       "write policies"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 92,
@@ -5846,7 +6285,8 @@ const QUESTION_SETS = {
       2,
       4
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 93,
@@ -5860,7 +6300,8 @@ const QUESTION_SETS = {
       "they cannot be moved via updates set"
     ],
     "correct": 4,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 94,
@@ -5872,7 +6313,8 @@ const QUESTION_SETS = {
       "a configuration item can belong to multiple classes and classes can contain multiple"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "CMDB"
   },
   {
     "id": 95,
@@ -5884,7 +6326,8 @@ const QUESTION_SETS = {
       "create a company email header and footer"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 96,
@@ -5899,7 +6342,8 @@ const QUESTION_SETS = {
       "workflow designer"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 97,
@@ -5911,7 +6355,8 @@ const QUESTION_SETS = {
       "more options (\u2026.)"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 98,
@@ -5923,7 +6368,8 @@ const QUESTION_SETS = {
       "can access"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 99,
@@ -5940,7 +6386,8 @@ const QUESTION_SETS = {
       2,
       4
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 100,
@@ -5953,7 +6400,8 @@ const QUESTION_SETS = {
       "field value"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 101,
@@ -5966,7 +6414,8 @@ const QUESTION_SETS = {
       "process automation> flow designer"
     ],
     "correct": 4,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 102,
@@ -5985,7 +6434,8 @@ const QUESTION_SETS = {
       4,
       5
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 103,
@@ -6002,7 +6452,8 @@ const QUESTION_SETS = {
       2,
       3
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 104,
@@ -6014,7 +6465,8 @@ const QUESTION_SETS = {
       "Star"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 105,
@@ -6026,7 +6478,8 @@ const QUESTION_SETS = {
       "banner"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 106,
@@ -6043,7 +6496,8 @@ const QUESTION_SETS = {
       1,
       2
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 107,
@@ -6062,7 +6516,8 @@ const QUESTION_SETS = {
       4,
       5
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 108,
@@ -6081,7 +6536,8 @@ const QUESTION_SETS = {
       3,
       4
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 109,
@@ -6093,7 +6549,8 @@ const QUESTION_SETS = {
       "Browser"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 110,
@@ -6105,7 +6562,8 @@ const QUESTION_SETS = {
       "field transformer"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 111,
@@ -6117,7 +6575,8 @@ const QUESTION_SETS = {
       "system definition> show schema map. select table"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 112,
@@ -6129,7 +6588,8 @@ const QUESTION_SETS = {
       "groups"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 113,
@@ -6142,7 +6602,8 @@ const QUESTION_SETS = {
       "automatically select a filter based on keywords"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 114,
@@ -6154,7 +6615,8 @@ const QUESTION_SETS = {
       "On the knowledge base, add user criteria with a manager can read script to the can"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 115,
@@ -6169,7 +6631,8 @@ const QUESTION_SETS = {
       0,
       3
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 116,
@@ -6181,7 +6644,8 @@ const QUESTION_SETS = {
       "performance analytics"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 117,
@@ -6199,7 +6663,8 @@ const QUESTION_SETS = {
       3,
       4
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 118,
@@ -6212,7 +6677,8 @@ const QUESTION_SETS = {
       "drag the table icon onto the flow definition"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 119,
@@ -6225,7 +6691,8 @@ const QUESTION_SETS = {
       "logout and back in"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 120,
@@ -6238,7 +6705,8 @@ const QUESTION_SETS = {
       "specific to general: table ACL, parent table ACL, wildcard(*) ACL"
     ],
     "correct": 4,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 121,
@@ -6255,7 +6723,8 @@ const QUESTION_SETS = {
       3,
       4
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 122,
@@ -6268,7 +6737,8 @@ const QUESTION_SETS = {
       "define the first condition; click AND button; define second condition; press enter"
     ],
     "correct": 4,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 123,
@@ -6280,7 +6750,8 @@ const QUESTION_SETS = {
       "mapping dashboard"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 124,
@@ -6292,7 +6763,8 @@ const QUESTION_SETS = {
       "Style"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 125,
@@ -6304,7 +6776,8 @@ const QUESTION_SETS = {
       "a client script executes on the client and a business rule executes on the server"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 126,
@@ -6321,7 +6794,8 @@ const QUESTION_SETS = {
       2,
       3
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 127,
@@ -6333,7 +6807,8 @@ const QUESTION_SETS = {
       "transform set"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 128,
@@ -6345,7 +6820,8 @@ const QUESTION_SETS = {
       "extended tables are always extended from parent tables. extended tables are"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 129,
@@ -6361,7 +6837,8 @@ const QUESTION_SETS = {
       2,
       4
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 130,
@@ -6373,7 +6850,8 @@ const QUESTION_SETS = {
       "operation"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 131,
@@ -6392,7 +6870,8 @@ const QUESTION_SETS = {
       3,
       4
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 132,
@@ -6414,7 +6893,8 @@ const QUESTION_SETS = {
       7,
       8
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 133,
@@ -6426,7 +6906,8 @@ const QUESTION_SETS = {
       "export to XML"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 134,
@@ -6438,7 +6919,8 @@ const QUESTION_SETS = {
       "CI dependency view"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "CMDB"
   },
   {
     "id": 135,
@@ -6451,7 +6933,8 @@ const QUESTION_SETS = {
       "load data"
     ],
     "correct": 4,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 136,
@@ -6468,7 +6951,8 @@ const QUESTION_SETS = {
       1,
       2
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 137,
@@ -6483,7 +6967,8 @@ const QUESTION_SETS = {
       0,
       3
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 138,
@@ -6495,7 +6980,8 @@ const QUESTION_SETS = {
       "dot walking"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 139,
@@ -6513,7 +6999,8 @@ const QUESTION_SETS = {
       4,
       5
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 140,
@@ -6530,7 +7017,8 @@ const QUESTION_SETS = {
       1,
       2
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "CMDB"
   },
   {
     "id": 141,
@@ -6542,7 +7030,8 @@ const QUESTION_SETS = {
       "Activate the application plug in, on your company\u2019s production instance."
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 142,
@@ -6555,7 +7044,8 @@ const QUESTION_SETS = {
       "label"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 143,
@@ -6568,7 +7058,8 @@ const QUESTION_SETS = {
       "system properties> branding"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 144,
@@ -6581,7 +7072,8 @@ const QUESTION_SETS = {
       "agent workspace"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 145,
@@ -6602,7 +7094,8 @@ const QUESTION_SETS = {
       5,
       6
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 146,
@@ -6614,7 +7107,8 @@ const QUESTION_SETS = {
       "service tracer"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "CMDB"
   },
   {
     "id": 147,
@@ -6626,7 +7120,8 @@ const QUESTION_SETS = {
       "if more than one rules applies to a row, the older rule is evaluated first"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 148,
@@ -6638,7 +7133,8 @@ const QUESTION_SETS = {
       "create, read, write, delete"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 149,
@@ -6655,7 +7151,8 @@ const QUESTION_SETS = {
       2,
       3
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 150,
@@ -6667,7 +7164,8 @@ const QUESTION_SETS = {
       "click list magnifier to expand column search, on short description, type *email, click"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 151,
@@ -6679,7 +7177,8 @@ const QUESTION_SETS = {
       "click on the eyeglass icon to expand the monitor frame"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 152,
@@ -6691,7 +7190,8 @@ const QUESTION_SETS = {
       "service catalog item request"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 153,
@@ -6709,7 +7209,8 @@ const QUESTION_SETS = {
       4,
       5
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 154,
@@ -6721,7 +7222,8 @@ const QUESTION_SETS = {
       "Pencil"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 155,
@@ -6733,7 +7235,8 @@ const QUESTION_SETS = {
       "Sys_groups"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 156,
@@ -6749,7 +7252,8 @@ const QUESTION_SETS = {
       0,
       1
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 157,
@@ -6766,7 +7270,8 @@ const QUESTION_SETS = {
       2,
       4
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 158,
@@ -6778,7 +7283,8 @@ const QUESTION_SETS = {
       "sn_kb_read, sn_article_read"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 159,
@@ -6790,7 +7296,8 @@ const QUESTION_SETS = {
       "ensures user can get to work as quickly as possible."
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 160,
@@ -6803,7 +7310,8 @@ const QUESTION_SETS = {
       "UI Script"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 161,
@@ -6815,7 +7323,8 @@ const QUESTION_SETS = {
       "import data"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 162,
@@ -6827,7 +7336,8 @@ const QUESTION_SETS = {
       "database view"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "CMDB"
   },
   {
     "id": 163,
@@ -6839,7 +7349,8 @@ const QUESTION_SETS = {
       "Group[sn_sys_group]"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 164,
@@ -6852,7 +7363,8 @@ const QUESTION_SETS = {
       "Base admin[base_admin]"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 165,
@@ -6865,7 +7377,8 @@ const QUESTION_SETS = {
       "Notifications"
     ],
     "correct": 4,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 166,
@@ -6883,7 +7396,8 @@ const QUESTION_SETS = {
       2,
       4
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 167,
@@ -6895,7 +7409,8 @@ const QUESTION_SETS = {
       "the manager does not have the ITIL role."
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 168,
@@ -6910,7 +7425,8 @@ const QUESTION_SETS = {
       2,
       3
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 169,
@@ -6922,7 +7438,8 @@ const QUESTION_SETS = {
       "a set of access control rules"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 170,
@@ -6934,7 +7451,8 @@ const QUESTION_SETS = {
       "import hub"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 171,
@@ -6953,7 +7471,8 @@ const QUESTION_SETS = {
       4,
       5
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "CMDB"
   },
   {
     "id": 172,
@@ -6966,7 +7485,8 @@ const QUESTION_SETS = {
       "Name: incident.Any; operation: write; Permission: itil"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 173,
@@ -6979,7 +7499,8 @@ const QUESTION_SETS = {
       "updated pack"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 174,
@@ -6996,7 +7517,8 @@ const QUESTION_SETS = {
       2,
       3
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 175,
@@ -7008,7 +7530,8 @@ const QUESTION_SETS = {
       "CI Use Case Modeler"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "CMDB"
   },
   {
     "id": 176,
@@ -7020,7 +7543,8 @@ const QUESTION_SETS = {
       "information technology service management (ITSM)"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "CMDB"
   },
   {
     "id": 177,
@@ -7032,7 +7556,8 @@ const QUESTION_SETS = {
       "create order guide"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 178,
@@ -7045,7 +7570,8 @@ const QUESTION_SETS = {
       "predictive intelligence query"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 179,
@@ -7057,7 +7583,8 @@ const QUESTION_SETS = {
       "merge default update sets before moving between instances"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 180,
@@ -7069,7 +7596,8 @@ const QUESTION_SETS = {
       "one to many"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 181,
@@ -7081,7 +7609,8 @@ const QUESTION_SETS = {
       "UI config"
     ],
     "correct": 1,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 182,
@@ -7093,7 +7622,8 @@ const QUESTION_SETS = {
       "User criteria"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 183,
@@ -7111,7 +7641,8 @@ const QUESTION_SETS = {
       3,
       4
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 184,
@@ -7123,7 +7654,8 @@ const QUESTION_SETS = {
       "additional actions or context menu"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 185,
@@ -7136,7 +7668,8 @@ const QUESTION_SETS = {
       "user session has timed out"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 186,
@@ -7148,7 +7681,8 @@ const QUESTION_SETS = {
       "connect agent"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   },
   {
     "id": 187,
@@ -7160,7 +7694,8 @@ const QUESTION_SETS = {
       "Verify"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 188,
@@ -7177,7 +7712,8 @@ const QUESTION_SETS = {
       2,
       3
     ],
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 189,
@@ -7189,7 +7725,8 @@ const QUESTION_SETS = {
       "end impersonation"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Other"
   },
   {
     "id": 190,
@@ -7201,7 +7738,8 @@ const QUESTION_SETS = {
       "picker"
     ],
     "correct": 2,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Collaboration"
   },
   {
     "id": 191,
@@ -7213,7 +7751,8 @@ const QUESTION_SETS = {
       "data policy"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 192,
@@ -7225,7 +7764,8 @@ const QUESTION_SETS = {
       "User[s_user]"
     ],
     "correct": 0,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Database"
   },
   {
     "id": 193,
@@ -7238,7 +7778,8 @@ const QUESTION_SETS = {
       "click gear > notifications > new"
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Application Development"
   },
   {
     "id": 194,
@@ -7250,7 +7791,8 @@ const QUESTION_SETS = {
       "create one catalogue item for event room setup; then publish to both catalogs."
     ],
     "correct": 3,
-    "explanation": ""
+    "explanation": "",
+    "domain": "Self-Service"
   }
 ],
 
@@ -7265,7 +7807,8 @@ const QUESTION_SETS = {
       "Roles > Conditions > Script"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Collaboration"
   },
   {
     "id": 2,
@@ -7277,7 +7820,8 @@ const QUESTION_SETS = {
       "Access is granted only to the specific field"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 3,
@@ -7289,7 +7833,8 @@ const QUESTION_SETS = {
       "sys_users"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 4,
@@ -7301,7 +7846,8 @@ const QUESTION_SETS = {
       "UI Pages"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 5,
@@ -7313,7 +7859,8 @@ const QUESTION_SETS = {
       "Avoid using the Default Update set as an Update Set for moving customizations from instance to instance"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 6,
@@ -7325,7 +7872,8 @@ const QUESTION_SETS = {
       "Mapping fields using Transform History"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 7,
@@ -7337,7 +7885,8 @@ const QUESTION_SETS = {
       "A business rule can be a piece of Javascript"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 8,
@@ -7349,7 +7898,8 @@ const QUESTION_SETS = {
       "Connect Chat"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Collaboration"
   },
   {
     "id": 9,
@@ -7362,7 +7912,8 @@ const QUESTION_SETS = {
       "The Dependency View"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "CMDB"
   },
   {
     "id": 10,
@@ -7374,7 +7925,8 @@ const QUESTION_SETS = {
       "An Update Set is a group of customizations that is moved from Production to Development"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 11,
@@ -7387,7 +7939,8 @@ const QUESTION_SETS = {
       "Record Number Format"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 12,
@@ -7399,7 +7952,8 @@ const QUESTION_SETS = {
       "Activate verbose logging"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Other"
   },
   {
     "id": 13,
@@ -7411,7 +7965,8 @@ const QUESTION_SETS = {
       "Insert creates a new record and Update saves changes, both remain on the form"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 14,
@@ -7423,7 +7978,8 @@ const QUESTION_SETS = {
       "An incoming customer update in an Update Set which applies to the same objects as a newer local customer update"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Database"
   },
   {
     "id": 15,
@@ -7435,7 +7991,8 @@ const QUESTION_SETS = {
       "A repository for Update Set information"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 16,
@@ -7449,7 +8006,8 @@ const QUESTION_SETS = {
       "Conditional Expressions"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Database"
   },
   {
     "id": 17,
@@ -7461,7 +8019,8 @@ const QUESTION_SETS = {
       "Reference Qualifier"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 18,
@@ -7473,7 +8032,8 @@ const QUESTION_SETS = {
       "Workflow"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 19,
@@ -7485,7 +8045,8 @@ const QUESTION_SETS = {
       "Load Data, Create Transform Map, Run Transform"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Database"
   },
   {
     "id": 20,
@@ -7497,7 +8058,8 @@ const QUESTION_SETS = {
       "CI Class Manager"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "CMDB"
   },
   {
     "id": 21,
@@ -7509,7 +8071,8 @@ const QUESTION_SETS = {
       "Changes made to: tables, forms, views, and fields"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 22,
@@ -7521,7 +8084,8 @@ const QUESTION_SETS = {
       "A spoke"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Self-Service"
   },
   {
     "id": 23,
@@ -7533,7 +8097,8 @@ const QUESTION_SETS = {
       "If more than one rule applies to a record, the older rule is evaluated first"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 24,
@@ -7546,7 +8111,8 @@ const QUESTION_SETS = {
       "Activate application plugins only"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 25,
@@ -7559,7 +8125,8 @@ const QUESTION_SETS = {
       "Service Mapping Utility (SMU)"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "CMDB"
   },
   {
     "id": 26,
@@ -7574,7 +8141,8 @@ const QUESTION_SETS = {
       "UI action"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 27,
@@ -7586,7 +8154,8 @@ const QUESTION_SETS = {
       "Groups, Conditional Expressions and Workflows"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 28,
@@ -7599,7 +8168,8 @@ const QUESTION_SETS = {
       "Configuration item"
     ],
     "correct": 4,
-    "explanation": "E"
+    "explanation": "E",
+    "domain": "Other"
   },
   {
     "id": 29,
@@ -7612,7 +8182,8 @@ const QUESTION_SETS = {
       "incident||major_incident"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Collaboration"
   },
   {
     "id": 30,
@@ -7625,7 +8196,8 @@ const QUESTION_SETS = {
       "Select Normal role"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Other"
   },
   {
     "id": 31,
@@ -7640,7 +8212,8 @@ const QUESTION_SETS = {
       "Knowledge Contributors"
     ],
     "correct": 4,
-    "explanation": "E"
+    "explanation": "E",
+    "domain": "Self-Service"
   },
   {
     "id": 32,
@@ -7654,7 +8227,8 @@ const QUESTION_SETS = {
       "Process User"
     ],
     "correct": 5,
-    "explanation": "F"
+    "explanation": "F",
+    "domain": "Self-Service"
   },
   {
     "id": 33,
@@ -7667,7 +8241,8 @@ const QUESTION_SETS = {
       "Flow Editor"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 34,
@@ -7681,7 +8256,8 @@ const QUESTION_SETS = {
       "Show Choice List"
     ],
     "correct": 5,
-    "explanation": "F"
+    "explanation": "F",
+    "domain": "Collaboration"
   },
   {
     "id": 35,
@@ -7692,7 +8268,8 @@ const QUESTION_SETS = {
       "Formatter is a set of conditions applied to a table to help find and work with data"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Other"
   },
   {
     "id": 36,
@@ -7703,7 +8280,8 @@ const QUESTION_SETS = {
       "Link Tables"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 37,
@@ -7714,7 +8292,8 @@ const QUESTION_SETS = {
       "sys_update_set"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Other"
   },
   {
     "id": 38,
@@ -7726,7 +8305,8 @@ const QUESTION_SETS = {
       "Start, Pause, Stop"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Self-Service"
   },
   {
     "id": 39,
@@ -7739,7 +8319,8 @@ const QUESTION_SETS = {
       "IntegrationHub ETL"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "CMDB"
   },
   {
     "id": 40,
@@ -7749,7 +8330,8 @@ const QUESTION_SETS = {
       "False"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 41,
@@ -7761,7 +8343,8 @@ const QUESTION_SETS = {
       "report_admin"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 42,
@@ -7773,7 +8356,8 @@ const QUESTION_SETS = {
       "Avoid using the Default Update set as an Update Set for moving customization from instance to instance"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 43,
@@ -7786,7 +8370,8 @@ const QUESTION_SETS = {
       "Rating"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 44,
@@ -7798,7 +8383,8 @@ const QUESTION_SETS = {
       "A spoke"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Self-Service"
   },
   {
     "id": 45,
@@ -7810,7 +8396,8 @@ const QUESTION_SETS = {
       "Service Graph connectors"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "CMDB"
   },
   {
     "id": 46,
@@ -7822,7 +8409,8 @@ const QUESTION_SETS = {
       "Tables"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Other"
   },
   {
     "id": 47,
@@ -7834,7 +8422,8 @@ const QUESTION_SETS = {
       "knowledge_base_admin"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 48,
@@ -7846,7 +8435,8 @@ const QUESTION_SETS = {
       "Key Fields"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Database"
   },
   {
     "id": 49,
@@ -7859,7 +8449,8 @@ const QUESTION_SETS = {
       "Anonymous Report Center"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 50,
@@ -7872,7 +8463,8 @@ const QUESTION_SETS = {
       "Page ID"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 51,
@@ -7884,7 +8476,8 @@ const QUESTION_SETS = {
       "A type of integration that enables a user to log in once and gain access to the resources of multiple software systems without being prompted to log in again"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Other"
   },
   {
     "id": 52,
@@ -7897,7 +8490,8 @@ const QUESTION_SETS = {
       "Record rule"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 53,
@@ -7909,7 +8503,8 @@ const QUESTION_SETS = {
       "None of the above"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 54,
@@ -7922,7 +8517,8 @@ const QUESTION_SETS = {
       "Installing the CSDM Activation (com.snc.cmdb.csdm.activation) plugin"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "CMDB"
   },
   {
     "id": 55,
@@ -7935,7 +8531,8 @@ const QUESTION_SETS = {
       "AI Search"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 56,
@@ -7947,7 +8544,8 @@ const QUESTION_SETS = {
       "Changes made to a homepage"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 57,
@@ -7959,7 +8557,8 @@ const QUESTION_SETS = {
       "Their user account does not have ITIL role"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 58,
@@ -7971,7 +8570,8 @@ const QUESTION_SETS = {
       "Planning, Strategy, Design, Transition"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 59,
@@ -7983,7 +8583,8 @@ const QUESTION_SETS = {
       "Globalization Framework"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 60,
@@ -7995,7 +8596,8 @@ const QUESTION_SETS = {
       "Software as-a-Service"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Other"
   },
   {
     "id": 61,
@@ -8008,7 +8610,8 @@ const QUESTION_SETS = {
       "Field Selector"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Self-Service"
   },
   {
     "id": 62,
@@ -8021,7 +8624,8 @@ const QUESTION_SETS = {
       "Chatbot"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 63,
@@ -8033,7 +8637,8 @@ const QUESTION_SETS = {
       "Onto to Many"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Other"
   },
   {
     "id": 64,
@@ -8045,7 +8650,8 @@ const QUESTION_SETS = {
       "User Experience Analytics"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Self-Service"
   },
   {
     "id": 65,
@@ -8057,7 +8663,8 @@ const QUESTION_SETS = {
       "report_access"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 66,
@@ -8069,7 +8676,8 @@ const QUESTION_SETS = {
       "fd_admin_designer"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 67,
@@ -8082,7 +8690,8 @@ const QUESTION_SETS = {
       "Virtual Agent"
     ],
     "correct": 4,
-    "explanation": "E"
+    "explanation": "E",
+    "domain": "Collaboration"
   },
   {
     "id": 68,
@@ -8094,7 +8703,8 @@ const QUESTION_SETS = {
       "It can only manage small to medium CMDBs"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "CMDB"
   },
   {
     "id": 69,
@@ -8106,7 +8716,8 @@ const QUESTION_SETS = {
       "Database Views"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Self-Service"
   },
   {
     "id": 70,
@@ -8119,7 +8730,8 @@ const QUESTION_SETS = {
       "Input runtime value"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 71,
@@ -8131,7 +8743,8 @@ const QUESTION_SETS = {
       "Any component in ServiceNow is considered a configuration item"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "CMDB"
   },
   {
     "id": 72,
@@ -8143,7 +8756,8 @@ const QUESTION_SETS = {
       "Insert"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 73,
@@ -8155,7 +8769,8 @@ const QUESTION_SETS = {
       "sys_user_group"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Database"
   },
   {
     "id": 74,
@@ -8167,7 +8782,8 @@ const QUESTION_SETS = {
       "The user is granted access to the entire table because the table ACL rule will override the field ACL rule"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 75,
@@ -8180,7 +8796,8 @@ const QUESTION_SETS = {
       "CI Relationship Assistant"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "CMDB"
   },
   {
     "id": 76,
@@ -8192,7 +8809,8 @@ const QUESTION_SETS = {
       "When creating an incident, it will suggest relevant articles"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Self-Service"
   },
   {
     "id": 77,
@@ -8202,7 +8820,8 @@ const QUESTION_SETS = {
       "False"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 78,
@@ -8214,7 +8833,8 @@ const QUESTION_SETS = {
       "List of incidents assigned to one of my groups"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 79,
@@ -8226,7 +8846,8 @@ const QUESTION_SETS = {
       "Right-click on any of the columns and select 'Show Visual Task Board'"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 80,
@@ -8239,7 +8860,8 @@ const QUESTION_SETS = {
       "History"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 81,
@@ -8251,7 +8873,8 @@ const QUESTION_SETS = {
       "sys_request"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   }
 ],
 
@@ -8267,7 +8890,8 @@ const QUESTION_SETS = {
       "CMDB integration dashboard"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "CMDB"
   },
   {
     "id": 2,
@@ -8279,7 +8903,8 @@ const QUESTION_SETS = {
       "Mapping fields using a field map"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Database"
   },
   {
     "id": 3,
@@ -8291,7 +8916,8 @@ const QUESTION_SETS = {
       "The CMDB contains ITIL process data pertaining to configuration items."
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "CMDB"
   },
   {
     "id": 4,
@@ -8303,7 +8929,8 @@ const QUESTION_SETS = {
       "Value, operator, then field"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 5,
@@ -8315,7 +8942,8 @@ const QUESTION_SETS = {
       "A business rule monitors fields on a form."
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 6,
@@ -8330,7 +8958,8 @@ const QUESTION_SETS = {
       "on Save"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 7,
@@ -8342,7 +8971,8 @@ const QUESTION_SETS = {
       "Custom tables"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 8,
@@ -8354,7 +8984,8 @@ const QUESTION_SETS = {
       "Order guides take the user directly to the checkout without promoting for information."
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 9,
@@ -8366,7 +8997,8 @@ const QUESTION_SETS = {
       "Comments"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 10,
@@ -8379,7 +9011,8 @@ const QUESTION_SETS = {
       "The Dependency Views"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "CMDB"
   },
   {
     "id": 11,
@@ -8391,7 +9024,8 @@ const QUESTION_SETS = {
       "A formatter is a set of conditions applied to a table to help find and work with data."
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 12,
@@ -8405,7 +9039,8 @@ const QUESTION_SETS = {
       "Titles of dashboard gauges"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 13,
@@ -8417,7 +9052,8 @@ const QUESTION_SETS = {
       "Record hopping"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Database"
   },
   {
     "id": 14,
@@ -8429,7 +9065,8 @@ const QUESTION_SETS = {
       "A schema map displays the details of tables and their relationships in a visual manner, allowing administrators to view and easily access different parts of the database schema."
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Database"
   },
   {
     "id": 15,
@@ -8441,7 +9078,8 @@ const QUESTION_SETS = {
       "By default, the changes included in an update set are visible only in the instance to which they are applied."
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 16,
@@ -8454,7 +9092,8 @@ const QUESTION_SETS = {
       "Form header size"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 17,
@@ -8466,7 +9105,8 @@ const QUESTION_SETS = {
       "Unlock application master list"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Other"
   },
   {
     "id": 18,
@@ -8478,7 +9118,8 @@ const QUESTION_SETS = {
       "The language dictionary used for spellchecking"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 19,
@@ -8490,7 +9131,8 @@ const QUESTION_SETS = {
       "Insert saves changes and remains on the form; update saves changes and exits the form."
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Collaboration"
   },
   {
     "id": 20,
@@ -8502,7 +9144,8 @@ const QUESTION_SETS = {
       "Event Log is the same as the Event Registry."
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 21,
@@ -8514,7 +9157,8 @@ const QUESTION_SETS = {
       "A dictionary override sets field properties in extended tables."
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Database"
   },
   {
     "id": 22,
@@ -8526,7 +9170,8 @@ const QUESTION_SETS = {
       "Assignment rules"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 23,
@@ -8538,7 +9183,8 @@ const QUESTION_SETS = {
       "A record producer is a type of catalog item that allows users to create task based records from the service catalog."
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Self-Service"
   },
   {
     "id": 24,
@@ -8550,7 +9196,8 @@ const QUESTION_SETS = {
       "They direct the user to a catalog client script."
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 25,
@@ -8562,7 +9209,8 @@ const QUESTION_SETS = {
       "A repository for updated set information."
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Database"
   },
   {
     "id": 26,
@@ -8574,7 +9222,8 @@ const QUESTION_SETS = {
       "An existing transform map can be used multiple times on the same import set."
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Database"
   },
   {
     "id": 27,
@@ -8586,7 +9235,8 @@ const QUESTION_SETS = {
       "Items"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 28,
@@ -8598,7 +9248,8 @@ const QUESTION_SETS = {
       "Form Designer"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 29,
@@ -8610,7 +9261,8 @@ const QUESTION_SETS = {
       "Multiple Choice, Select Box, and Checkbox"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Self-Service"
   },
   {
     "id": 30,
@@ -8622,7 +9274,8 @@ const QUESTION_SETS = {
       "Workflows cannot be moved between instances."
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 31,
@@ -8634,7 +9287,8 @@ const QUESTION_SETS = {
       "Record producers, order guides, and item variables"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 32,
@@ -8646,7 +9300,8 @@ const QUESTION_SETS = {
       "The new table inherits all of the fields but does not inherit access control rules, client scripts, and UI policies of the parent table."
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Database"
   },
   {
     "id": 33,
@@ -8658,7 +9313,8 @@ const QUESTION_SETS = {
       "trans transactions log"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 34,
@@ -8670,7 +9326,8 @@ const QUESTION_SETS = {
       "Reviewed"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 35,
@@ -8682,7 +9339,8 @@ const QUESTION_SETS = {
       "Connect Chat"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 36,
@@ -8694,7 +9352,8 @@ const QUESTION_SETS = {
       "To present related records"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Collaboration"
   },
   {
     "id": 37,
@@ -8706,7 +9365,8 @@ const QUESTION_SETS = {
       "A service catalog flow generates three basic components: item variable types, tasks, and notifications."
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 38,
@@ -8718,7 +9378,8 @@ const QUESTION_SETS = {
       "Task"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 39,
@@ -8731,7 +9392,8 @@ const QUESTION_SETS = {
       "FTP authentication"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 40,
@@ -8745,7 +9407,8 @@ const QUESTION_SETS = {
       "Groups"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 41,
@@ -8757,7 +9420,8 @@ const QUESTION_SETS = {
       "Content frame"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 42,
@@ -8769,7 +9433,8 @@ const QUESTION_SETS = {
       "Make active, set visibility, and save"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 43,
@@ -8781,7 +9446,8 @@ const QUESTION_SETS = {
       "incident assigned to me"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 44,
@@ -8793,7 +9459,8 @@ const QUESTION_SETS = {
       "Bookmarks"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Other"
   },
   {
     "id": 45,
@@ -8805,7 +9472,8 @@ const QUESTION_SETS = {
       "Assignment rule"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 46,
@@ -8817,7 +9485,8 @@ const QUESTION_SETS = {
       "A group defines a set of users that share the same job title."
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 47,
@@ -8829,7 +9498,8 @@ const QUESTION_SETS = {
       "A role is a persona used in a live feed chat."
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Other"
   },
   {
     "id": 48,
@@ -8841,7 +9511,8 @@ const QUESTION_SETS = {
       "An email file attachment"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 49,
@@ -8853,7 +9524,8 @@ const QUESTION_SETS = {
       "Guided boards"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 50,
@@ -8865,7 +9537,8 @@ const QUESTION_SETS = {
       "You should assign roles to groups"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Other"
   },
   {
     "id": 51,
@@ -8877,7 +9550,8 @@ const QUESTION_SETS = {
       "Knowledge article publication"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 52,
@@ -8889,7 +9563,8 @@ const QUESTION_SETS = {
       "Workflow"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 53,
@@ -8901,7 +9576,8 @@ const QUESTION_SETS = {
       "A column contains data from one user and a record is one set of fields."
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 54,
@@ -8913,7 +9589,8 @@ const QUESTION_SETS = {
       "Unique 64 character identifier that is assigned to every record"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 55,
@@ -8925,7 +9602,8 @@ const QUESTION_SETS = {
       "CIS_ABC"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Database"
   },
   {
     "id": 56,
@@ -8937,7 +9615,8 @@ const QUESTION_SETS = {
       "For a specific CMDB configuration item"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 57,
@@ -8949,7 +9628,8 @@ const QUESTION_SETS = {
       "System Update Sets"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 58,
@@ -8961,7 +9641,8 @@ const QUESTION_SETS = {
       "Select import set, select transform map, run transform"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 59,
@@ -8973,7 +9654,8 @@ const QUESTION_SETS = {
       "CI class manager"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "CMDB"
   },
   {
     "id": 60,
@@ -8985,7 +9667,8 @@ const QUESTION_SETS = {
       "Data policies run only after UI policies run successfully."
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 61,
@@ -8997,7 +9680,8 @@ const QUESTION_SETS = {
       "Changes made to table, forms, views, and fields"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Collaboration"
   },
   {
     "id": 62,
@@ -9009,7 +9693,8 @@ const QUESTION_SETS = {
       "Verify update set is complete, retrieve, preview, commit"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 63,
@@ -9021,7 +9706,8 @@ const QUESTION_SETS = {
       "An integration step"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 64,
@@ -9033,7 +9719,8 @@ const QUESTION_SETS = {
       "Application scope"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Self-Service"
   },
   {
     "id": 65,
@@ -9045,7 +9732,8 @@ const QUESTION_SETS = {
       "The role with the most permissions evaluates the rules first."
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Database"
   },
   {
     "id": 66,
@@ -9057,7 +9745,8 @@ const QUESTION_SETS = {
       "Information Technology Infrastructure Library (ITIL)"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Other"
   },
   {
     "id": 67,
@@ -9070,7 +9759,8 @@ const QUESTION_SETS = {
       "The assignment group manager field is empty."
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 68,
@@ -9083,7 +9773,8 @@ const QUESTION_SETS = {
       "Activate application plugins only"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 69,
@@ -9097,7 +9788,8 @@ const QUESTION_SETS = {
       "Build Field Service Task Board"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 70,
@@ -9112,7 +9804,8 @@ const QUESTION_SETS = {
       "Related lists"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 71,
@@ -9124,7 +9817,8 @@ const QUESTION_SETS = {
       "Select field class manager module"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 72,
@@ -9137,7 +9831,8 @@ const QUESTION_SETS = {
       "CI class manager (CICM)"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "CMDB"
   },
   {
     "id": 73,
@@ -9150,7 +9845,8 @@ const QUESTION_SETS = {
       "App updated set"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 74,
@@ -9165,7 +9861,8 @@ const QUESTION_SETS = {
       "ID"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Database"
   },
   {
     "id": 75,
@@ -9177,7 +9874,8 @@ const QUESTION_SETS = {
       "Create order guide and use the user criteria list to specify first line SN first line role"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 76,
@@ -9192,7 +9890,8 @@ const QUESTION_SETS = {
       "Code packs"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Other"
   },
   {
     "id": 77,
@@ -9206,7 +9905,8 @@ const QUESTION_SETS = {
       "Star"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 78,
@@ -9221,7 +9921,8 @@ const QUESTION_SETS = {
       "Update set"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 79,
@@ -9234,7 +9935,8 @@ const QUESTION_SETS = {
       "Business time remaining"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 80,
@@ -9247,7 +9949,8 @@ const QUESTION_SETS = {
       "Apply filter, right click on column header, select create report"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 81,
@@ -9259,7 +9962,8 @@ const QUESTION_SETS = {
       "Mapping dashboard"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 82,
@@ -9272,7 +9976,8 @@ const QUESTION_SETS = {
       "Stack Overflow"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 83,
@@ -9285,7 +9990,8 @@ const QUESTION_SETS = {
       "Have them correct the time zone on their computer"
     ],
     "correct": 4,
-    "explanation": "E"
+    "explanation": "E",
+    "domain": "Collaboration"
   },
   {
     "id": 84,
@@ -9300,7 +10006,8 @@ const QUESTION_SETS = {
       "System Security > High Security Settings"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 85,
@@ -9314,7 +10021,8 @@ const QUESTION_SETS = {
       "Use your admin account so you can approve the items quickly"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Self-Service"
   },
   {
     "id": 86,
@@ -9327,7 +10035,8 @@ const QUESTION_SETS = {
       "UI policy"
     ],
     "correct": 4,
-    "explanation": "E"
+    "explanation": "E",
+    "domain": "Collaboration"
   },
   {
     "id": 87,
@@ -9339,7 +10048,8 @@ const QUESTION_SETS = {
       "Preview"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 88,
@@ -9351,7 +10061,8 @@ const QUESTION_SETS = {
       "Security admin"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Database"
   },
   {
     "id": 89,
@@ -9363,7 +10074,8 @@ const QUESTION_SETS = {
       "Funnel"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 90,
@@ -9376,7 +10088,8 @@ const QUESTION_SETS = {
       "Asset"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Other"
   },
   {
     "id": 91,
@@ -9389,7 +10102,8 @@ const QUESTION_SETS = {
       "Use a department manager ACL on the HR service catalog"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 92,
@@ -9402,7 +10116,8 @@ const QUESTION_SETS = {
       "Define the first condition, click icon on breadcrumb, define second condition, press enter"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 93,
@@ -9415,7 +10130,8 @@ const QUESTION_SETS = {
       "incident.major_incident"
     ],
     "correct": 4,
-    "explanation": "E"
+    "explanation": "E",
+    "domain": "Collaboration"
   },
   {
     "id": 94,
@@ -9427,7 +10143,8 @@ const QUESTION_SETS = {
       "Create one catalog item for event room setup, then use ACL to control access."
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 95,
@@ -9440,7 +10157,8 @@ const QUESTION_SETS = {
       "End impersonation"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 96,
@@ -9454,7 +10172,8 @@ const QUESTION_SETS = {
       "Lookup"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 97,
@@ -9467,7 +10186,8 @@ const QUESTION_SETS = {
       "Process Automation > Active Flows"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 98,
@@ -9480,7 +10200,8 @@ const QUESTION_SETS = {
       "Reports > Create New"
     ],
     "correct": 4,
-    "explanation": "E"
+    "explanation": "E",
+    "domain": "Collaboration"
   },
   {
     "id": 99,
@@ -9493,7 +10214,8 @@ const QUESTION_SETS = {
       "Pull, Review, Push"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 100,
@@ -9506,7 +10228,8 @@ const QUESTION_SETS = {
       "Schedule Transform"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 101,
@@ -9519,7 +10242,8 @@ const QUESTION_SETS = {
       "On the Category column title, click Context menu > Group By Category"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 102,
@@ -9532,7 +10256,8 @@ const QUESTION_SETS = {
       "Live Feed"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 103,
@@ -9545,7 +10270,8 @@ const QUESTION_SETS = {
       "Read Only"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 104,
@@ -9557,7 +10283,8 @@ const QUESTION_SETS = {
       "sys_access_list"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 105,
@@ -9569,7 +10296,8 @@ const QUESTION_SETS = {
       "Business Rules"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 106,
@@ -9581,7 +10309,8 @@ const QUESTION_SETS = {
       "Bubble"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 107,
@@ -9593,7 +10322,8 @@ const QUESTION_SETS = {
       "Activity Stream"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 108,
@@ -9605,7 +10335,8 @@ const QUESTION_SETS = {
       "Edit multiple user roles simultaneously"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 109,
@@ -9617,7 +10348,8 @@ const QUESTION_SETS = {
       "Data policies are applied to forms and are client-side logic"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 110,
@@ -9629,7 +10361,8 @@ const QUESTION_SETS = {
       "async Business Rule"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 111,
@@ -9641,7 +10374,8 @@ const QUESTION_SETS = {
       "Coalesce Map"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 112,
@@ -9654,7 +10388,8 @@ const QUESTION_SETS = {
       "Business Rules"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 113,
@@ -9666,7 +10401,8 @@ const QUESTION_SETS = {
       "CMDB Manager"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "CMDB"
   },
   {
     "id": 114,
@@ -9678,7 +10414,8 @@ const QUESTION_SETS = {
       "Script"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Other"
   },
   {
     "id": 115,
@@ -9690,7 +10427,8 @@ const QUESTION_SETS = {
       "Run PowerShell commands"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Self-Service"
   },
   {
     "id": 116,
@@ -9702,7 +10440,8 @@ const QUESTION_SETS = {
       "Catalog Item"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Self-Service"
   },
   {
     "id": 117,
@@ -9714,7 +10453,8 @@ const QUESTION_SETS = {
       "User Criteria defines the variables visible on a catalog item form."
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 118,
@@ -9726,7 +10466,8 @@ const QUESTION_SETS = {
       "employee_id"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 119,
@@ -9738,7 +10479,8 @@ const QUESTION_SETS = {
       "Virtual Agent"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 120,
@@ -9750,7 +10492,8 @@ const QUESTION_SETS = {
       "XML Export"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Other"
   },
   {
     "id": 121,
@@ -9762,7 +10505,8 @@ const QUESTION_SETS = {
       "ACL"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 122,
@@ -9774,7 +10518,8 @@ const QUESTION_SETS = {
       "Content Item"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 123,
@@ -9786,7 +10531,8 @@ const QUESTION_SETS = {
       "sys_knowledge"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 124,
@@ -9798,7 +10544,8 @@ const QUESTION_SETS = {
       "Catalog Task (SCTASK)"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 125,
@@ -9810,7 +10557,8 @@ const QUESTION_SETS = {
       "Script Includes"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 126,
@@ -9822,7 +10570,8 @@ const QUESTION_SETS = {
       "Flow"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Database"
   },
   {
     "id": 127,
@@ -9834,7 +10583,8 @@ const QUESTION_SETS = {
       "They are automatically applied to all forms"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 128,
@@ -9846,7 +10596,8 @@ const QUESTION_SETS = {
       "User Authentication > User Authorization > Access Control Rules"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Other"
   },
   {
     "id": 129,
@@ -9858,7 +10609,8 @@ const QUESTION_SETS = {
       "Transforming"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 130,
@@ -9870,7 +10622,8 @@ const QUESTION_SETS = {
       "UI Policy"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 131,
@@ -9882,7 +10635,8 @@ const QUESTION_SETS = {
       "Personalize List"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 132,
@@ -9894,7 +10648,8 @@ const QUESTION_SETS = {
       "OnLoad > OnSubmit > OnChange"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 133,
@@ -9906,7 +10661,8 @@ const QUESTION_SETS = {
       "Impersonation is available to all ITIL users"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 134,
@@ -9918,7 +10674,8 @@ const QUESTION_SETS = {
       "Themes Module"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 135,
@@ -9930,7 +10687,8 @@ const QUESTION_SETS = {
       "Workflow Script"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 136,
@@ -9942,7 +10700,8 @@ const QUESTION_SETS = {
       "To manage the approvals for knowledge article viewing"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 137,
@@ -9954,7 +10713,8 @@ const QUESTION_SETS = {
       "Preventing deletion of a record"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 138,
@@ -9966,7 +10726,8 @@ const QUESTION_SETS = {
       "sys_user"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Database"
   },
   {
     "id": 139,
@@ -9978,7 +10739,8 @@ const QUESTION_SETS = {
       "itil_admin"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 140,
@@ -9990,7 +10752,8 @@ const QUESTION_SETS = {
       "sys_history"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 141,
@@ -10002,7 +10765,8 @@ const QUESTION_SETS = {
       "Edge"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Other"
   },
   {
     "id": 142,
@@ -10014,7 +10778,8 @@ const QUESTION_SETS = {
       "In a background process after the database operation"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 143,
@@ -10026,7 +10791,8 @@ const QUESTION_SETS = {
       "A flow that closes an incident after 30 days of resolution"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 144,
@@ -10038,7 +10804,8 @@ const QUESTION_SETS = {
       "To produce an item that creates a task in the Task [task] table"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 145,
@@ -10050,7 +10817,8 @@ const QUESTION_SETS = {
       "Schema Map"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Database"
   },
   {
     "id": 146,
@@ -10062,7 +10830,8 @@ const QUESTION_SETS = {
       "Reports"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 147,
@@ -10074,7 +10843,8 @@ const QUESTION_SETS = {
       "UI Policy"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 148,
@@ -10086,7 +10856,8 @@ const QUESTION_SETS = {
       "Export with Schema"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 149,
@@ -10098,7 +10869,8 @@ const QUESTION_SETS = {
       "Table Map"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 150,
@@ -10110,7 +10882,8 @@ const QUESTION_SETS = {
       "The time of import"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 151,
@@ -10122,7 +10895,8 @@ const QUESTION_SETS = {
       "A type of service offering in the Service Catalog"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "CMDB"
   },
   {
     "id": 152,
@@ -10134,7 +10908,8 @@ const QUESTION_SETS = {
       "Catalog Administration"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 153,
@@ -10146,7 +10921,8 @@ const QUESTION_SETS = {
       "Workflows are executed on the client; Flows are on the server."
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 154,
@@ -10158,7 +10934,8 @@ const QUESTION_SETS = {
       "UI Policy (onLoad)"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Database"
   },
   {
     "id": 155,
@@ -10170,7 +10947,8 @@ const QUESTION_SETS = {
       "Configure an Integration Hub Spoke"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 156,
@@ -10182,7 +10960,8 @@ const QUESTION_SETS = {
       "User Preferences"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Other"
   },
   {
     "id": 157,
@@ -10194,7 +10973,8 @@ const QUESTION_SETS = {
       "Activity Stream"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Other"
   },
   {
     "id": 158,
@@ -10206,7 +10986,8 @@ const QUESTION_SETS = {
       "A schema map of the CMDB tables"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "CMDB"
   },
   {
     "id": 159,
@@ -10218,7 +10999,8 @@ const QUESTION_SETS = {
       "Delete"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 160,
@@ -10230,7 +11012,8 @@ const QUESTION_SETS = {
       "To set the default assignment group"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 161,
@@ -10242,7 +11025,8 @@ const QUESTION_SETS = {
       "To create reports"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 162,
@@ -10254,7 +11038,8 @@ const QUESTION_SETS = {
       "Include complex calculations in before rules"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 163,
@@ -10266,7 +11051,8 @@ const QUESTION_SETS = {
       "To hide the rule from non-admin users"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 164,
@@ -10278,7 +11064,8 @@ const QUESTION_SETS = {
       "ACL Rules"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 165,
@@ -10290,7 +11077,8 @@ const QUESTION_SETS = {
       "There is no practical difference"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 166,
@@ -10302,7 +11090,8 @@ const QUESTION_SETS = {
       "sys_table"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 167,
@@ -10314,7 +11103,8 @@ const QUESTION_SETS = {
       "To enforce security rules"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 168,
@@ -10326,7 +11116,8 @@ const QUESTION_SETS = {
       "Workflow Script"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 169,
@@ -10338,7 +11129,8 @@ const QUESTION_SETS = {
       "To create workflows"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 170,
@@ -10350,7 +11142,8 @@ const QUESTION_SETS = {
       "Creating approval workflows"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 171,
@@ -10362,7 +11155,8 @@ const QUESTION_SETS = {
       "To schedule automated tasks"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 172,
@@ -10374,7 +11168,8 @@ const QUESTION_SETS = {
       "Scopes only apply to tables, not scripts"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 173,
@@ -10386,7 +11181,8 @@ const QUESTION_SETS = {
       "To reference the current date and time"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 174,
@@ -10398,7 +11194,8 @@ const QUESTION_SETS = {
       "All of the above"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Collaboration"
   },
   {
     "id": 175,
@@ -10410,7 +11207,8 @@ const QUESTION_SETS = {
       "To filter user access"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 176,
@@ -10422,7 +11220,8 @@ const QUESTION_SETS = {
       "Runs before a user logs in"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 177,
@@ -10434,7 +11233,8 @@ const QUESTION_SETS = {
       "A type of business rule"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 178,
@@ -10446,7 +11246,8 @@ const QUESTION_SETS = {
       "Workflow > Active Contexts"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Self-Service"
   },
   {
     "id": 179,
@@ -10458,7 +11259,8 @@ const QUESTION_SETS = {
       "To automatically approve a request"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 180,
@@ -10470,7 +11272,8 @@ const QUESTION_SETS = {
       "To override a business rule's execution order"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 181,
@@ -10482,7 +11285,8 @@ const QUESTION_SETS = {
       "Self-Service > My Profile"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 182,
@@ -10494,7 +11298,8 @@ const QUESTION_SETS = {
       "UI Policy"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 183,
@@ -10506,7 +11311,8 @@ const QUESTION_SETS = {
       "UI Action"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 184,
@@ -10518,7 +11324,8 @@ const QUESTION_SETS = {
       "The field with the highest priority is used"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Database"
   },
   {
     "id": 185,
@@ -10530,7 +11337,8 @@ const QUESTION_SETS = {
       "Report Role"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 186,
@@ -10542,7 +11350,8 @@ const QUESTION_SETS = {
       "All of the above"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 187,
@@ -10554,7 +11363,8 @@ const QUESTION_SETS = {
       "Field, Logic, Script"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 188,
@@ -10566,7 +11376,8 @@ const QUESTION_SETS = {
       "Exported"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 189,
@@ -10578,7 +11389,8 @@ const QUESTION_SETS = {
       "To manage the CI relationships for the requested services"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 190,
@@ -10590,7 +11402,8 @@ const QUESTION_SETS = {
       "Workflow Activity"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 191,
@@ -10602,7 +11415,8 @@ const QUESTION_SETS = {
       "sys_class_name"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 192,
@@ -10614,7 +11428,8 @@ const QUESTION_SETS = {
       "It runs only when the record is new"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 193,
@@ -10626,7 +11441,8 @@ const QUESTION_SETS = {
       "By role priority"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 194,
@@ -10638,7 +11454,8 @@ const QUESTION_SETS = {
       "Knowledge Base Manager role"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Self-Service"
   },
   {
     "id": 195,
@@ -10650,7 +11467,8 @@ const QUESTION_SETS = {
       "To automatically discover CIs"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 196,
@@ -10662,7 +11480,8 @@ const QUESTION_SETS = {
       "UI Action"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Database"
   },
   {
     "id": 197,
@@ -10674,7 +11493,8 @@ const QUESTION_SETS = {
       "System Diagnostics"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 198,
@@ -10686,7 +11506,8 @@ const QUESTION_SETS = {
       "It stores non-login user information only."
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 199,
@@ -10698,7 +11519,8 @@ const QUESTION_SETS = {
       "Transform Mapping"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Database"
   },
   {
     "id": 200,
@@ -10710,7 +11532,8 @@ const QUESTION_SETS = {
       "To allow access to all users worldwide"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   }
 ],
 
@@ -10727,7 +11550,8 @@ const QUESTION_SETS = {
       "Activity"
     ],
     "correct": 5,
-    "explanation": "F"
+    "explanation": "F",
+    "domain": "Collaboration"
   },
   {
     "id": 2,
@@ -10741,7 +11565,8 @@ const QUESTION_SETS = {
       "Lists overwrite"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 3,
@@ -10754,7 +11579,8 @@ const QUESTION_SETS = {
       "Task flows"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 4,
@@ -10767,7 +11593,8 @@ const QUESTION_SETS = {
       "Input runtime value"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 5,
@@ -10779,7 +11606,8 @@ const QUESTION_SETS = {
       "Create onboarding bot"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 6,
@@ -10792,7 +11620,8 @@ const QUESTION_SETS = {
       "KB author group"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 7,
@@ -10805,7 +11634,8 @@ const QUESTION_SETS = {
       "Any active user"
     ],
     "correct": 4,
-    "explanation": "E"
+    "explanation": "E",
+    "domain": "Self-Service"
   },
   {
     "id": 8,
@@ -10817,7 +11647,8 @@ const QUESTION_SETS = {
       "Right click on priority and select Configure Column"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 9,
@@ -10831,7 +11662,8 @@ const QUESTION_SETS = {
       "can import"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 10,
@@ -10844,7 +11676,8 @@ const QUESTION_SETS = {
       "Approval definitions"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 11,
@@ -10856,7 +11689,8 @@ const QUESTION_SETS = {
       "Makes relating CIs easier, because predefined relationship suggests which type of CIs should be related"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "CMDB"
   },
   {
     "id": 12,
@@ -10868,7 +11702,8 @@ const QUESTION_SETS = {
       "Hover on connection line"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "CMDB"
   },
   {
     "id": 13,
@@ -10882,7 +11717,8 @@ const QUESTION_SETS = {
       "ecmdb_ci"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "CMDB"
   },
   {
     "id": 14,
@@ -10894,7 +11730,8 @@ const QUESTION_SETS = {
       "Import set row table"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Database"
   },
   {
     "id": 15,
@@ -10906,7 +11743,8 @@ const QUESTION_SETS = {
       "Key fields"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Database"
   },
   {
     "id": 16,
@@ -10918,7 +11756,8 @@ const QUESTION_SETS = {
       "Transform map"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 17,
@@ -10930,7 +11769,8 @@ const QUESTION_SETS = {
       "Offering.*"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Database"
   },
   {
     "id": 18,
@@ -10943,7 +11783,8 @@ const QUESTION_SETS = {
       "Key performance indicators"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Other"
   },
   {
     "id": 19,
@@ -10956,7 +11797,8 @@ const QUESTION_SETS = {
       "Element"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 20,
@@ -10969,7 +11811,8 @@ const QUESTION_SETS = {
       "Try it"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 21,
@@ -10982,7 +11825,8 @@ const QUESTION_SETS = {
       "Group by"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 22,
@@ -10995,7 +11839,8 @@ const QUESTION_SETS = {
       "Diary"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Other"
   },
   {
     "id": 23,
@@ -11008,7 +11853,8 @@ const QUESTION_SETS = {
       "On who will receive tab, add caller field, dot walk to caller's manager to add managers"
     ],
     "correct": 4,
-    "explanation": "E"
+    "explanation": "E",
+    "domain": "Collaboration"
   },
   {
     "id": 24,
@@ -11021,7 +11867,8 @@ const QUESTION_SETS = {
       "That user account failed LDAP authentication"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 25,
@@ -11034,7 +11881,8 @@ const QUESTION_SETS = {
       "Escalation"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 26,
@@ -11046,7 +11894,8 @@ const QUESTION_SETS = {
       "Company name, company logo, colour scheme"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 27,
@@ -11059,7 +11908,8 @@ const QUESTION_SETS = {
       "Name the section"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 28,
@@ -11072,7 +11922,8 @@ const QUESTION_SETS = {
       "On the category column header, right click and select Show > Hardware"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Collaboration"
   },
   {
     "id": 29,
@@ -11085,7 +11936,8 @@ const QUESTION_SETS = {
       "A collection of users"
     ],
     "correct": 4,
-    "explanation": "E"
+    "explanation": "E",
+    "domain": "Other"
   },
   {
     "id": 30,
@@ -11097,7 +11949,8 @@ const QUESTION_SETS = {
       "Activate the plugin on your production environment and start the default data collectors"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 31,
@@ -11110,7 +11963,8 @@ const QUESTION_SETS = {
       "Right click form header > form layout > add work note section"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 32,
@@ -11122,7 +11976,8 @@ const QUESTION_SETS = {
       "Create inventory table as an extended table from the task table, then add the inventory specification fields as needed"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 33,
@@ -11135,7 +11990,8 @@ const QUESTION_SETS = {
       "Click on the funnel icon and create copy"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 34,
@@ -11147,7 +12003,8 @@ const QUESTION_SETS = {
       "On the knowledge article, add user criteria for HR manager group on can read list"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 35,
@@ -11160,7 +12017,8 @@ const QUESTION_SETS = {
       "Bob Smith does not have a delegate set up"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 36,
@@ -11173,7 +12031,8 @@ const QUESTION_SETS = {
       "Self-Service > My Dashboards"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 37,
@@ -11188,7 +12047,8 @@ const QUESTION_SETS = {
       "Make it easier for developers to organize work"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 38,
@@ -11201,7 +12061,8 @@ const QUESTION_SETS = {
       "Trigger criteria and clock"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 39,
@@ -11214,7 +12075,8 @@ const QUESTION_SETS = {
       "Form constraint"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 40,
@@ -11229,7 +12091,8 @@ const QUESTION_SETS = {
       "Process flow manager"
     ],
     "correct": 5,
-    "explanation": "F"
+    "explanation": "F",
+    "domain": "Self-Service"
   },
   {
     "id": 41,
@@ -11243,7 +12106,8 @@ const QUESTION_SETS = {
       "UI policies and client scripts"
     ],
     "correct": 5,
-    "explanation": "F"
+    "explanation": "F",
+    "domain": "Application Development"
   },
   {
     "id": 42,
@@ -11256,7 +12120,8 @@ const QUESTION_SETS = {
       "Write + read"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 43,
@@ -11270,7 +12135,8 @@ const QUESTION_SETS = {
       "Community"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 44,
@@ -11282,7 +12148,8 @@ const QUESTION_SETS = {
       "Users which are members of either ACME North America or HR department or ACME Managers group"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 45,
@@ -11295,7 +12162,8 @@ const QUESTION_SETS = {
       "Query"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 46,
@@ -11309,7 +12177,8 @@ const QUESTION_SETS = {
       "From the record form header, click paperclip icon"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 47,
@@ -11322,7 +12191,8 @@ const QUESTION_SETS = {
       "Security incident response users"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Other"
   },
   {
     "id": 48,
@@ -11335,7 +12205,8 @@ const QUESTION_SETS = {
       "A field"
     ],
     "correct": 4,
-    "explanation": "E"
+    "explanation": "E",
+    "domain": "Collaboration"
   },
   {
     "id": 49,
@@ -11348,7 +12219,8 @@ const QUESTION_SETS = {
       "String"
     ],
     "correct": 4,
-    "explanation": "E"
+    "explanation": "E",
+    "domain": "Database"
   },
   {
     "id": 50,
@@ -11362,7 +12234,8 @@ const QUESTION_SETS = {
       "User menu"
     ],
     "correct": 4,
-    "explanation": "E"
+    "explanation": "E",
+    "domain": "Other"
   },
   {
     "id": 51,
@@ -11375,7 +12248,8 @@ const QUESTION_SETS = {
       "security_admin"
     ],
     "correct": 4,
-    "explanation": "E"
+    "explanation": "E",
+    "domain": "Collaboration"
   },
   {
     "id": 52,
@@ -11388,7 +12262,8 @@ const QUESTION_SETS = {
       "Security operations and vulnerability response"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 53,
@@ -11400,7 +12275,8 @@ const QUESTION_SETS = {
       "Right click on the approval number, select approved, click green check"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 54,
@@ -11415,7 +12291,8 @@ const QUESTION_SETS = {
       "Start-up sound"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 55,
@@ -11428,7 +12305,8 @@ const QUESTION_SETS = {
       "Connect > Agent workspace"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 56,
@@ -11442,7 +12320,8 @@ const QUESTION_SETS = {
       "Add user account to Network group"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Other"
   },
   {
     "id": 57,
@@ -11454,7 +12333,8 @@ const QUESTION_SETS = {
       "To retire homepage"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 58,
@@ -11466,7 +12346,8 @@ const QUESTION_SETS = {
       "Before, after, async, display"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 59,
@@ -11480,7 +12361,8 @@ const QUESTION_SETS = {
       "Glide"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 60,
@@ -11493,7 +12375,8 @@ const QUESTION_SETS = {
       "Record rule"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 61,
@@ -11506,7 +12389,8 @@ const QUESTION_SETS = {
       "Information portal management"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Database"
   },
   {
     "id": 62,
@@ -11521,7 +12405,8 @@ const QUESTION_SETS = {
       "Spoke store"
     ],
     "correct": 4,
-    "explanation": "E"
+    "explanation": "E",
+    "domain": "Other"
   },
   {
     "id": 63,
@@ -11533,7 +12418,8 @@ const QUESTION_SETS = {
       "knowledge_base_admin"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 64,
@@ -11545,7 +12431,8 @@ const QUESTION_SETS = {
       "Add fields"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 65,
@@ -11558,7 +12445,8 @@ const QUESTION_SETS = {
       "Create a flow designer action with variable set data pill; apply flow to all 80 items"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 66,
@@ -11571,7 +12459,8 @@ const QUESTION_SETS = {
       "Monitor data quality and clean imported data using the data scrub workspace"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 67,
@@ -11585,7 +12474,8 @@ const QUESTION_SETS = {
       "IT service management (ITSM)"
     ],
     "correct": 4,
-    "explanation": "E"
+    "explanation": "E",
+    "domain": "Other"
   },
   {
     "id": 68,
@@ -11597,7 +12487,8 @@ const QUESTION_SETS = {
       "Set up LDAP; run auto map; transform data; clean up target table"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 69,
@@ -11610,7 +12501,8 @@ const QUESTION_SETS = {
       "Parent child approvers"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 70,
@@ -11622,7 +12514,8 @@ const QUESTION_SETS = {
       "All rows are rejected from the import as coalesce field is required"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Database"
   },
   {
     "id": 71,
@@ -11636,7 +12529,8 @@ const QUESTION_SETS = {
       "Transform dashboard"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 72,
@@ -11649,7 +12543,8 @@ const QUESTION_SETS = {
       "Create transform app"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Database"
   },
   {
     "id": 73,
@@ -11663,7 +12558,8 @@ const QUESTION_SETS = {
       "Start icon"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 74,
@@ -11676,7 +12572,8 @@ const QUESTION_SETS = {
       "Plugins are prohibited in personal developer instances"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Database"
   },
   {
     "id": 75,
@@ -11689,7 +12586,8 @@ const QUESTION_SETS = {
       "X-ray search table"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 76,
@@ -11702,7 +12600,8 @@ const QUESTION_SETS = {
       "sn_itil"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 77,
@@ -11714,7 +12613,8 @@ const QUESTION_SETS = {
       "Click on the ... icon, click add tag, type Special Handling, press enter"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Collaboration"
   },
   {
     "id": 78,
@@ -11727,7 +12627,8 @@ const QUESTION_SETS = {
       "Ctrl+M"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 79,
@@ -11740,7 +12641,8 @@ const QUESTION_SETS = {
       "Chat bubbles"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 80,
@@ -11753,7 +12655,8 @@ const QUESTION_SETS = {
       "Have them clear their cache"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Collaboration"
   },
   {
     "id": 81,
@@ -11766,7 +12669,8 @@ const QUESTION_SETS = {
       "Show them how to export to Excel format"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 82,
@@ -11778,7 +12682,8 @@ const QUESTION_SETS = {
       "Base configuration item, configuration item, base task"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 83,
@@ -11793,7 +12698,8 @@ const QUESTION_SETS = {
       "Group members can pick tasks based on highest priority"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Collaboration"
   },
   {
     "id": 84,
@@ -11806,7 +12712,8 @@ const QUESTION_SETS = {
       "Child CI tab"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "CMDB"
   },
   {
     "id": 85,
@@ -11820,7 +12727,8 @@ const QUESTION_SETS = {
       "Service Catalog [sc_catalog]"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 86,
@@ -11833,7 +12741,8 @@ const QUESTION_SETS = {
       "From the user icon, select elevate roles"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 87,
@@ -11846,7 +12755,8 @@ const QUESTION_SETS = {
       "Click the gear and check the tab option"
     ],
     "correct": 4,
-    "explanation": "E"
+    "explanation": "E",
+    "domain": "Collaboration"
   },
   {
     "id": 88,
@@ -11859,7 +12769,8 @@ const QUESTION_SETS = {
       "Create a report template"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 89,
@@ -11874,7 +12785,8 @@ const QUESTION_SETS = {
       "Custom and base"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 90,
@@ -11889,7 +12801,8 @@ const QUESTION_SETS = {
       "Smooth integration with 3rd party systems"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 91,
@@ -11902,7 +12815,8 @@ const QUESTION_SETS = {
       "Write policies"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 92,
@@ -11915,7 +12829,8 @@ const QUESTION_SETS = {
       "Create catalog item for the tablet, and on the form, add a checkbox variable for each accessory option"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 93,
@@ -11929,7 +12844,8 @@ const QUESTION_SETS = {
       "They cannot be moved via update sets"
     ],
     "correct": 4,
-    "explanation": "E"
+    "explanation": "E",
+    "domain": "Collaboration"
   },
   {
     "id": 94,
@@ -11941,7 +12857,8 @@ const QUESTION_SETS = {
       "A configuration item can belong to multiple classes and classes can contain multiple CIs"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 95,
@@ -11953,7 +12870,8 @@ const QUESTION_SETS = {
       "Create a company email header and footer"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Collaboration"
   },
   {
     "id": 96,
@@ -11968,7 +12886,8 @@ const QUESTION_SETS = {
       "Workflow designer"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 97,
@@ -11980,7 +12899,8 @@ const QUESTION_SETS = {
       "More options (...)"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 98,
@@ -11992,7 +12912,8 @@ const QUESTION_SETS = {
       "Can access"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 99,
@@ -12006,7 +12927,8 @@ const QUESTION_SETS = {
       "Import Sets"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 100,
@@ -12018,7 +12940,8 @@ const QUESTION_SETS = {
       "Employee level, manager level, system admin level"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 101,
@@ -12030,7 +12953,8 @@ const QUESTION_SETS = {
       "itil"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "CMDB"
   },
   {
     "id": 102,
@@ -12042,7 +12966,8 @@ const QUESTION_SETS = {
       "Use record producer to create variables"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Self-Service"
   },
   {
     "id": 103,
@@ -12054,7 +12979,8 @@ const QUESTION_SETS = {
       "Search"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 104,
@@ -12066,7 +12992,8 @@ const QUESTION_SETS = {
       "Heart"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 105,
@@ -12078,7 +13005,8 @@ const QUESTION_SETS = {
       "Applications"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 106,
@@ -12091,7 +13019,8 @@ const QUESTION_SETS = {
       "Information about the changes"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 107,
@@ -12103,7 +13032,8 @@ const QUESTION_SETS = {
       "You can manually add some types of customizations to update sets"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 108,
@@ -12115,7 +13045,8 @@ const QUESTION_SETS = {
       "Run transform"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 109,
@@ -12128,7 +13059,8 @@ const QUESTION_SETS = {
       "Computer [cmdb_ci_computer]"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 110,
@@ -12140,7 +13072,8 @@ const QUESTION_SETS = {
       "All of the above could work"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Collaboration"
   },
   {
     "id": 111,
@@ -12152,7 +13085,8 @@ const QUESTION_SETS = {
       "System, store, and custom"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 112,
@@ -12164,7 +13098,8 @@ const QUESTION_SETS = {
       "The request is still pending approval"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 113,
@@ -12176,7 +13111,8 @@ const QUESTION_SETS = {
       "Personalizing the form using the context menu"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 114,
@@ -12188,7 +13124,8 @@ const QUESTION_SETS = {
       "When to run: Field values change [selected fields]"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 115,
@@ -12202,7 +13139,8 @@ const QUESTION_SETS = {
       "Style"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 116,
@@ -12214,7 +13152,8 @@ const QUESTION_SETS = {
       "Workflow stage error"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 117,
@@ -12228,7 +13167,8 @@ const QUESTION_SETS = {
       "Time"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 118,
@@ -12240,7 +13180,8 @@ const QUESTION_SETS = {
       "security_admin"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Other"
   },
   {
     "id": 119,
@@ -12252,7 +13193,8 @@ const QUESTION_SETS = {
       "Global filters"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 120,
@@ -12265,7 +13207,8 @@ const QUESTION_SETS = {
       "Run script activity with email function"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 121,
@@ -12277,7 +13220,8 @@ const QUESTION_SETS = {
       "All of the above"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Self-Service"
   },
   {
     "id": 122,
@@ -12289,7 +13233,8 @@ const QUESTION_SETS = {
       "Foreign key field"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 123,
@@ -12301,7 +13246,8 @@ const QUESTION_SETS = {
       "Import sets can only import data from CSV files"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 124,
@@ -12313,7 +13259,8 @@ const QUESTION_SETS = {
       "To validate data before import"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 125,
@@ -12325,7 +13272,8 @@ const QUESTION_SETS = {
       "Testing phase"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 126,
@@ -12339,7 +13287,8 @@ const QUESTION_SETS = {
       "Knowledge [kb_knowledge]"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 127,
@@ -12351,7 +13300,8 @@ const QUESTION_SETS = {
       "Create relationships between tables"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Other"
   },
   {
     "id": 128,
@@ -12363,7 +13313,8 @@ const QUESTION_SETS = {
       "To create performance reports"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Self-Service"
   },
   {
     "id": 129,
@@ -12375,7 +13326,8 @@ const QUESTION_SETS = {
       "Validate data against database"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 130,
@@ -12387,7 +13339,8 @@ const QUESTION_SETS = {
       "Script include"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Application Development"
   },
   {
     "id": 131,
@@ -12399,7 +13352,8 @@ const QUESTION_SETS = {
       "It improves server performance"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 132,
@@ -12411,7 +13365,8 @@ const QUESTION_SETS = {
       "Visual task board"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "CMDB"
   },
   {
     "id": 133,
@@ -12424,7 +13379,8 @@ const QUESTION_SETS = {
       "SLA definitions"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 134,
@@ -12436,7 +13392,8 @@ const QUESTION_SETS = {
       "All of the above"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Self-Service"
   },
   {
     "id": 135,
@@ -12448,7 +13405,8 @@ const QUESTION_SETS = {
       "To archive the record"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 136,
@@ -12460,7 +13418,8 @@ const QUESTION_SETS = {
       "Both A and C"
     ],
     "correct": 3,
-    "explanation": "D"
+    "explanation": "D",
+    "domain": "Application Development"
   },
   {
     "id": 137,
@@ -12472,7 +13431,8 @@ const QUESTION_SETS = {
       "sys_created_by is automatic; sys_updated_by is manual"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 138,
@@ -12484,7 +13444,8 @@ const QUESTION_SETS = {
       "Child records remain but parent reference is cleared"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Other"
   },
   {
     "id": 139,
@@ -12496,7 +13457,8 @@ const QUESTION_SETS = {
       "A field for date selection"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 140,
@@ -12508,7 +13470,8 @@ const QUESTION_SETS = {
       "To set the priority level"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 141,
@@ -12520,7 +13483,8 @@ const QUESTION_SETS = {
       "Choice"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Database"
   },
   {
     "id": 142,
@@ -12532,7 +13496,8 @@ const QUESTION_SETS = {
       "Walk through workflow steps"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Database"
   },
   {
     "id": 143,
@@ -12544,7 +13509,8 @@ const QUESTION_SETS = {
       "Workflows support more complex logic"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   },
   {
     "id": 144,
@@ -12556,7 +13522,8 @@ const QUESTION_SETS = {
       "Create a custom report"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Application Development"
   },
   {
     "id": 145,
@@ -12568,7 +13535,8 @@ const QUESTION_SETS = {
       "To store workflow definitions"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "CMDB"
   },
   {
     "id": 146,
@@ -12580,7 +13548,8 @@ const QUESTION_SETS = {
       "Both A and B"
     ],
     "correct": 2,
-    "explanation": "C"
+    "explanation": "C",
+    "domain": "Other"
   },
   {
     "id": 147,
@@ -12592,7 +13561,8 @@ const QUESTION_SETS = {
       "To manage email notifications"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Collaboration"
   },
   {
     "id": 148,
@@ -12604,7 +13574,8 @@ const QUESTION_SETS = {
       "To show audit history"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Collaboration"
   },
   {
     "id": 149,
@@ -12616,7 +13587,8 @@ const QUESTION_SETS = {
       "group"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 150,
@@ -12628,7 +13600,8 @@ const QUESTION_SETS = {
       "To schedule system updates"
     ],
     "correct": 1,
-    "explanation": "B"
+    "explanation": "B",
+    "domain": "Application Development"
   },
   {
     "id": 151,
@@ -12640,7 +13613,8 @@ const QUESTION_SETS = {
       "Child table overwrites parent table"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Database"
   },
   {
     "id": 152,
@@ -12652,7 +13626,8 @@ const QUESTION_SETS = {
       "A report metric"
     ],
     "correct": 0,
-    "explanation": "A"
+    "explanation": "A",
+    "domain": "Self-Service"
   }
 ]
 };
@@ -0,0 +1,228 @@
+// Study Data Store
+// All saved state goes through studyStore: a synchronous in-memory cache that is
+// loaded once at startup and written back to IndexedDB in batches. Browsers
+// without IndexedDB (or that block it) fall back to localStorage.
+// The first IndexedDB start moves existing localStorage data across.
+// Each learner profile has its own copy of the study state; the question bank
+// and its corrections are shared by every profile on the device.
+
+const STORE_DB_NAME = 'csa-study-data';
+const STORE_DB_VERSION = 1;
+const STORE_OBJECTS = 'state';
+const STORE_FLUSH_DELAY = 500; // ms to collect writes before saving them together
+const DEFAULT_PROFILE = 'default';
+const SHARED_KEYS = ['customCategories', 'customAnswers', 'questionEdits', 'dataVersion', 'profiles', 'activeProfile'];
+
+function isQuotaError(error) {
+  return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+}
+
+// localStorage holds JSON, except for values that were saved as plain text
+function parseStoredValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+const studyStore = {
+  backend: null,
+  db: null,
+  cache: {},
+  dirty: new Set(),
+  flushTimer: null,
+  pendingFlush: Promise.resolve(),
+
+  // Called when a write does not fit; returns true if it freed space worth retrying
+  onQuotaExceeded: null,
+
+  // Called with the error when pending writes could not be saved; they stay
+  // pending and are retried on the next flush
+  onSaveFailed: null,
+
+  // Profile whose state get/set/remove work on
+  profile: DEFAULT_PROFILE,
+
+  // Names of the keys this app saves, set by open(). Other localStorage keys on
+  // the same origin belong to other apps and are never read or removed.
+  appKeys: new Set(SHARED_KEYS),
+
+  isAppKey(key) {
+    const match = key.match(/^profile:[^:]+:(.+)$/);
+    return this.appKeys.has(match ? match[1] : key);
+  },
+
+  // The default profile keeps the unprefixed keys saved before profiles existed
+  storageKey(key, profile = this.profile) {
+    if (profile === DEFAULT_PROFILE || SHARED_KEYS.includes(key)) return key;
+    return `profile:${profile}:${key}`;
+  },
+
+  get(key, fallback, profile) {
+    const storageKey = this.storageKey(key, profile);
+    return storageKey in this.cache ? this.cache[storageKey] : fallback;
+  },
+
+  set(key, value) {
+    const storageKey = this.storageKey(key);
+    this.cache[storageKey] = value;
+    this.markDirty(storageKey);
+  },
+
+  remove(key) {
+    const storageKey = this.storageKey(key);
+    delete this.cache[storageKey];
+    this.markDirty(storageKey);
+  },
+
+  // Drop every key that belongs to one profile
+  removeProfile(profile) {
+    const prefix = `profile:${profile}:`;
+    Object.keys(this.cache)
+      .filter(key => this.isAppKey(key) && (profile === DEFAULT_PROFILE
+        ? !key.startsWith('profile:') && !SHARED_KEYS.includes(key)
+        : key.startsWith(prefix)))
+      .forEach(key => {
+        delete this.cache[key];
+        this.markDirty(key);
+      });
+  },
+
+  keys() {
+    return Object.keys(this.cache);
+  },
+
+  markDirty(key) {
+    this.dirty.add(key);
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), STORE_FLUSH_DELAY);
+    }
+  },
+
+  open(appKeys) {
+    this.appKeys = new Set([...appKeys, ...SHARED_KEYS]);
+    if (!window.indexedDB) {
+      this.useLocalStorage();
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const request = indexedDB.open(STORE_DB_NAME, STORE_DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_OBJECTS);
+      request.onerror = () => {
+        this.useLocalStorage();
+        resolve();
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        this.backend = 'indexeddb';
+        this.loadFromIndexedDB().then(resolve, () => {
+          this.db = null;
+          this.useLocalStorage();
+          resolve();
+        });
+      };
+    });
+  },
+
+  useLocalStorage() {
+    this.backend = 'localstorage';
+    this.cache = this.readLocalStorage();
+  },
+
+  readLocalStorage() {
+    const data = {};
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (this.isAppKey(key)) data[key] = parseStoredValue(localStorage.getItem(key));
+    }
+    return data;
+  },
+
+  loadFromIndexedDB() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(STORE_OBJECTS, 'readonly');
+      const objects = transaction.objectStore(STORE_OBJECTS);
+      const keysRequest = objects.getAllKeys();
+      const valuesRequest = objects.getAll();
+      transaction.oncomplete = () => {
+        keysRequest.result.forEach((key, i) => {
+          this.cache[key] = valuesRequest.result[i];
+        });
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+    }).then(() => {
+      if (Object.keys(this.cache).length > 0) return;
+
+      // One-time move of data saved before the IndexedDB store existed
+      const migrated = this.readLocalStorage();
+      if (Object.keys(migrated).length === 0) return;
+      this.cache = migrated;
+      Object.keys(migrated).forEach(key => this.dirty.add(key));
+      return this.flush().then(saved => {
+        if (saved) Object.keys(migrated).forEach(key => localStorage.removeItem(key));
+      });
+    });
+  },
+
+  // Save every changed key in one go. Resolves to false if the data could not be stored.
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.pendingFlush = this.pendingFlush.then(() => this.writeDirty(false));
+    return this.pendingFlush;
+  },
+
+  writeDirty(retried) {
+    const keys = [...this.dirty];
+    this.dirty.clear();
+    if (keys.length === 0) return Promise.resolve(true);
+
+    const write = this.backend === 'indexeddb' ? this.writeIndexedDB(keys) : this.writeLocalStorage(keys);
+    return write.then(() => true, error => {
+      keys.forEach(key => this.dirty.add(key));
+      if (isQuotaError(error) && !retried && this.onQuotaExceeded && this.onQuotaExceeded()) {
+        return this.writeDirty(true);
+      }
+      if (this.onSaveFailed) this.onSaveFailed(error);
+      return false;
+    });
+  },
+
+  writeIndexedDB(keys) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(STORE_OBJECTS, 'readwrite');
+      const objects = transaction.objectStore(STORE_OBJECTS);
+      keys.forEach(key => {
+        if (key in this.cache) objects.put(this.cache[key], key);
+        else objects.delete(key);
+      });
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => reject(transaction.error);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  },
+
+  writeLocalStorage(keys) {
+    try {
+      keys.forEach(key => {
+        if (key in this.cache) {
+          localStorage.setItem(key, JSON.stringify(this.cache[key]));
+        } else {
+          localStorage.removeItem(key);
+        }
+      });
+      return Promise.resolve();
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+};
+
+// Save pending writes when the page is hidden or closed
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') studyStore.flush();
+});
+window.addEventListener('pagehide', () => studyStore.flush());
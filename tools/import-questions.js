@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+// Question bank importer
+// Parses ALL_QUESTIONS_AND_ANSWERS.txt into QUESTION_SETS and reports how it
+// differs from questions.js. Categories missing from the text file are kept.
+//
+// Usage: node tools/import-questions.js [--txt path] [--json out.json] [--write]
+//   --txt    text file to parse (default ALL_QUESTIONS_AND_ANSWERS.txt)
+//   --json   write the parsed QUESTION_SETS as JSON
+//   --write  regenerate questions.js from the text file
+
+const fs = require('fs');
+const path = require('path');
+const { loadScripts, loadQuestionSets, validateQuestionSets, requestedAnswerCount } = require('./validate-questions');
+
+const ROOT = path.join(__dirname, '..');
+const QUESTIONS_FILE = path.join(ROOT, 'questions.js');
+const TEXT_FILE = path.join(ROOT, 'ALL_QUESTIONS_AND_ANSWERS.txt');
+
+// Text file section names and the QUESTION_SETS keys they map to
+const CATEGORY_KEYS = {
+  'CSA EXAM QUESTIONS': 'csa_exam',
+  'CSA DUMPS 194': 'csa_dumps_194',
+  'SKILLCERT QUESTIONS': 'skillcert',
+  'YOUTUBE DUMPS': 'youtube_dumps',
+  'OTHER SOURCES 1 QUESTIONS': 'other_sources'
+};
+
+// Names used in the questions.js header
+const CATEGORY_LABELS = {
+  csa_exam: 'CSA Exam',
+  csa_dumps_194: 'CSA Dumps 194',
+  skillcert: 'SkillCert',
+  youtube_dumps: 'YouTube',
+  other_sources: 'Other'
+};
+
+function categoryKey(name) {
+  return CATEGORY_KEYS[name] || name.toLowerCase().replace(/\bquestions\b/, '').trim().replace(/[^a-z0-9]+/g, '_');
+}
+
+const letter = i => String.fromCharCode(65 + i);
+const formatCorrect = correct => (Array.isArray(correct) ? correct : [correct]).map(letter).join(', ');
+
+// Parse the "Question N: / Options: / Correct Answer: X" text format.
+// Returns { questionSets, errors } where errors carry line numbers.
+function parseQuestionText(text) {
+  const lines = text.split(/\r?\n/);
+  const questionSets = {};
+  const errors = [];
+  let category = null;
+  let current = null;
+  let section = null;
+
+  const finish = () => {
+    if (!current) return;
+    const where = `line ${current.line} (${category} #${current.id})`;
+    current.question = current.question.join('\n').trim();
+    if (!current.question) errors.push(`${where}: question text is missing`);
+    if (current.options.length < 2) errors.push(`${where}: fewer than 2 options`);
+    if (current.correct === undefined) {
+      errors.push(`${where}: no "Correct Answer" line`);
+    } else {
+      delete current.line;
+      questionSets[category].push(current);
+    }
+    current = null;
+  };
+
+  lines.forEach((line, i) => {
+    const lineNo = i + 1;
+    let match;
+
+    if ((match = line.match(/^CATEGORY:\s*(.+)$/))) {
+      finish();
+      category = categoryKey(match[1].trim());
+      questionSets[category] = questionSets[category] || [];
+      return;
+    }
+    if (line.startsWith('SUMMARY')) {
+      finish();
+      category = null;
+      return;
+    }
+    if (!category) return;
+
+    if ((match = line.match(/^Question (\d+):\s*$/))) {
+      finish();
+      current = { id: parseInt(match[1]), question: [], options: [], correct: undefined, explanation: '', line: lineNo };
+      section = 'question';
+      return;
+    }
+    if (!current) return;
+
+    if (/^Options:\s*$/.test(line)) {
+      section = 'options';
+    } else if ((match = line.match(/^Correct Answer:\s*(.+)$/))) {
+      const letters = match[1].split(/\s*,\s*/).map(l => l.trim().toUpperCase());
+      const indices = letters.map(l => l.charCodeAt(0) - 65);
+      if (letters.some(l => !/^[A-Z]$/.test(l)) || indices.some(idx => idx >= current.options.length)) {
+        errors.push(`line ${lineNo} (${category} #${current.id}): correct answer "${match[1]}" does not match an option`);
+      }
+      current.correct = indices.length === 1 ? indices[0] : indices;
+      section = null;
+    } else if (/^[-=]{10,}$/.test(line)) {
+      section = null;
+    } else if (section === 'question') {
+      current.question.push(line);
+    } else if (section === 'options') {
+      if ((match = line.match(/^\s+([A-Z])\.\s?(.*)$/))) {
+        if (match[1] !== letter(current.options.length)) {
+          errors.push(`line ${lineNo} (${category} #${current.id}): option ${match[1]} out of order`);
+        }
+        current.options.push(match[2].trim());
+      } else if (line.trim() && current.options.length > 0) {
+        // Wrapped option text continues the previous option
+        current.options[current.options.length - 1] += ' ' + line.trim();
+      }
+    }
+  });
+  finish();
+
+  return { questionSets, errors };
+}
+
+function sameOptions(a, b) {
+  return a.length === b.length && a.every((opt, i) => opt === b[i]);
+}
+
+const normalizeText = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+// The text file records one letter even for "(Choose N)" questions, so a single
+// letter there doesn't override the full answer list already in questions.js
+function importedCorrect(old, q) {
+  const sameQuestion = old && normalizeText(old.question) === normalizeText(q.question) && old.options.length === q.options.length;
+  const lossy = sameQuestion && Array.isArray(old.correct) && !Array.isArray(q.correct) && requestedAnswerCount(q.question) > 1;
+  return lossy ? old.correct : q.correct;
+}
+
+// Pair each imported question with the current one it replaces: same text
+// first (ids drift between the two files), then the same id. Returns
+// [{ before, after }] where before is null for new questions.
+function matchQuestions(before, after) {
+  const unmatched = new Set(before);
+  const pairs = after.map(q => {
+    const old = before.find(b => unmatched.has(b) && normalizeText(b.question) === normalizeText(q.question));
+    if (old) unmatched.delete(old);
+    return { before: old || null, after: q };
+  });
+
+  pairs.filter(p => !p.before).forEach(p => {
+    const old = before.find(b => unmatched.has(b) && b.id === p.after.id);
+    if (old) {
+      unmatched.delete(old);
+      p.before = old;
+    }
+  });
+
+  return pairs;
+}
+
+// Compare two QUESTION_SETS category by category
+function diffQuestionSets(current, imported) {
+  const categories = [...new Set([...Object.keys(current), ...Object.keys(imported)])];
+
+  return categories.map(category => {
+    const before = current[category];
+    const after = imported[category];
+    const report = { category, before: before ? before.length : null, after: after ? after.length : null, added: [], removed: [], changed: [] };
+    if (!before || !after) return report;
+
+    const pairs = matchQuestions(before, after);
+    pairs.forEach(({ before: old, after: q }) => {
+      const correct = importedCorrect(old, q);
+      if (!old) {
+        report.added.push(q.id);
+        return;
+      }
+      const changes = [];
+      if (old.id !== q.id) changes.push(`was #${old.id}`);
+      if (normalizeText(old.question) !== normalizeText(q.question)) changes.push('question text differs');
+      if (!sameOptions(old.options, q.options)) {
+        const differing = q.options.map((opt, i) => (opt !== old.options[i] ? letter(i) : null)).filter(Boolean);
+        changes.push(old.options.length !== q.options.length
+          ? `option count ${old.options.length} -> ${q.options.length}`
+          : `options ${differing.join(', ')} differ`);
+      }
+      if (formatCorrect(old.correct) !== formatCorrect(correct)) {
+        changes.push(`correct ${formatCorrect(old.correct)} -> ${formatCorrect(correct)}`);
+      }
+      if (changes.length) report.changed.push({ id: q.id, changes });
+    });
+
+    const matched = new Set(pairs.map(p => p.before));
+    report.removed = before.filter(q => !matched.has(q)).map(q => q.id);
+
+    return report;
+  });
+}
+
+function printDiff(reports) {
+  let differences = 0;
+
+  reports.forEach(r => {
+    if (r.after === null) {
+      console.log(`${r.category}: only in questions.js (${r.before} questions), kept as is`);
+      return;
+    }
+    if (r.before === null) {
+      console.log(`${r.category}: new category with ${r.after} questions`);
+      differences += r.after;
+      return;
+    }
+
+    const count = r.added.length + r.removed.length + r.changed.length;
+    differences += count;
+    console.log(`${r.category}: ${r.before} in questions.js, ${r.after} in text file` +
+      (count ? `, ${r.changed.length} changed, ${r.added.length} added, ${r.removed.length} removed` : ', in sync'));
+    r.changed.forEach(c => console.log(`  #${c.id}: ${c.changes.join('; ')}`));
+    if (r.added.length) console.log(`  added: #${r.added.join(', #')}`);
+    if (r.removed.length) console.log(`  removed: #${r.removed.join(', #')}`);
+  });
+
+  return differences;
+}
+
+// Imported questions keep the explanation and domain of the question they replace;
+// new ones get an explanation from the answer text and a classified domain
+function mergeQuestionSets(current, imported) {
+  const { classifyQuestion } = loadScripts([path.join(ROOT, 'topics.js')], ['classifyQuestion']);
+  const merged = {};
+
+  const categories = [...Object.keys(current), ...Object.keys(imported).filter(c => !current[c])];
+  categories.forEach(category => {
+    if (!imported[category]) {
+      merged[category] = current[category];
+      return;
+    }
+
+    merged[category] = matchQuestions(current[category] || [], imported[category]).map(({ before: old, after: q }) => {
+      const correct = importedCorrect(old, q);
+      const answers = Array.isArray(correct) ? correct : [correct];
+      // Letters alone can point at different text once the options change
+      const answerText = (question, answer) => [].concat(answer).map(i => normalizeText(question.options[i] || '')).join('\n');
+      const sameAnswer = old && formatCorrect(old.correct) === formatCorrect(correct) &&
+        (sameOptions(old.options, q.options) || answerText(old, old.correct) === answerText(q, correct));
+      return {
+        id: q.id,
+        question: q.question,
+        options: q.options,
+        correct,
+        explanation: sameAnswer ? old.explanation : `${formatCorrect(correct)} - ${answers.map(i => q.options[i]).join(', ')}`,
+        domain: old && old.domain ? old.domain : classifyQuestion(q).domain
+      };
+    });
+  });
+
+  return merged;
+}
+
+// Same layout as the existing file: one JSON block per category, non-ASCII escaped
+function formatQuestionsFile(questionSets, header) {
+  const escape = json => json.replace(/[\u0080-\uffff]/g, c => '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0'));
+  const counts = Object.keys(questionSets).map(c => `${CATEGORY_LABELS[c] || c} (${questionSets[c].length})`);
+  const headerLines = header.trimEnd().split('\n')
+    .map(line => (/^\/\/ \d+ Categories:/.test(line) ? `// ${counts.length} Categories: ${counts.join(', ')}` : line));
+  const body = Object.keys(questionSets)
+    .map(c => `  "${c}": ` + escape(JSON.stringify(questionSets[c], null, 2)))
+    .join(',\n\n');
+
+  return `${headerLines.join('\n')}\n\nconst QUESTION_SETS = {\n${body}\n};\n`;
+}
+
+function parseArgs(argv) {
+  const args = { txt: TEXT_FILE, json: null, write: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--txt') args.txt = path.resolve(argv[++i]);
+    else if (argv[i] === '--json') args.json = path.resolve(argv[++i]);
+    else if (argv[i] === '--write') args.write = true;
+    else {
+      console.error(`Unknown argument: ${argv[i]}`);
+      process.exit(2);
+    }
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const { questionSets: imported, errors } = parseQuestionText(fs.readFileSync(args.txt, 'utf8'));
+
+  const total = Object.values(imported).reduce((sum, questions) => sum + questions.length, 0);
+  console.log(`Parsed ${total} questions in ${Object.keys(imported).length} categories from ${path.basename(args.txt)}\n`);
+
+  if (errors.length) {
+    errors.forEach(e => console.log(e));
+    console.log(`\n⚠️ ${errors.length} parse error(s) in ${path.basename(args.txt)}\n`);
+  }
+
+  if (args.json) {
+    fs.writeFileSync(args.json, JSON.stringify(imported, null, 2) + '\n');
+    console.log(`Wrote ${args.json}\n`);
+  }
+
+  const current = loadQuestionSets(QUESTIONS_FILE);
+  const differences = printDiff(diffQuestionSets(current, imported));
+
+  if (args.write && errors.length) {
+    console.log('\n❌ Not regenerating questions.js until the parse errors are fixed');
+  } else if (args.write) {
+    const source = fs.readFileSync(QUESTIONS_FILE, 'utf8');
+    const header = source.slice(0, source.indexOf('const QUESTION_SETS'));
+    const merged = mergeQuestionSets(current, imported);
+    fs.writeFileSync(QUESTIONS_FILE, formatQuestionsFile(merged, header));
+
+    const problems = validateQuestionSets(merged);
+    console.log(`\nRegenerated questions.js` + (problems.length ? ` (${problems.length} validation error(s), run tools/validate-questions.js)` : ''));
+  } else if (differences) {
+    console.log(`\n${differences} difference(s). Run with --write to regenerate questions.js`);
+  }
+
+  if (errors.length) process.exit(1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseQuestionText, diffQuestionSets, mergeQuestionSets, formatQuestionsFile };
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+// Question bank validator
+// Loads QUESTION_SETS from questions.js and reports every structural and
+// consistency error with its category and id. Exits with status 1 on errors.
+//
+// Usage: node tools/validate-questions.js [path/to/questions.js]
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Run browser scripts that declare top-level constants and return those constants
+function loadScripts(files, names) {
+  const context = vm.createContext({});
+  const source = files.map(file => fs.readFileSync(file, 'utf8')).join('\n;\n');
+  vm.runInContext(source, context, { filename: files[files.length - 1] });
+  return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+function loadQuestionSets(file = path.join(ROOT, 'questions.js')) {
+  return loadScripts([file], ['QUESTION_SETS']).QUESTION_SETS;
+}
+
+// Blueprint domains known to the topic classifier
+function loadDomains() {
+  const { TOPIC_RULES } = loadScripts([path.join(ROOT, 'topics.js')], ['TOPIC_RULES']);
+  return new Set([...TOPIC_RULES.map(rule => rule.domain), 'Other']);
+}
+
+// Same "(Choose N)" reading as the app
+const { requestedAnswerCount } = loadScripts([path.join(ROOT, 'question-import.js')], ['requestedAnswerCount']);
+
+// Answer letters at the start of an explanation, e.g. "A, C - ..." -> [0, 2]
+function explanationAnswer(explanation) {
+  const match = explanation.match(/^([A-Z](?:\s*,\s*[A-Z])*)(?:\s+-|\s*$)/);
+  if (!match) return null;
+  return match[1].split(',').map(letter => letter.trim().charCodeAt(0) - 65);
+}
+
+function validateQuestion(q, domains) {
+  if (!q || typeof q !== 'object' || Array.isArray(q)) return ['entry is not a question object'];
+
+  const errors = [];
+
+  if (!Number.isInteger(q.id)) errors.push('id must be an integer');
+
+  if (typeof q.question !== 'string' || !q.question.trim()) {
+    errors.push('question text is missing');
+  }
+
+  if (!Array.isArray(q.options) || q.options.length < 2) {
+    errors.push('options must be an array of at least 2 entries');
+    return errors;
+  }
+  q.options.forEach((opt, i) => {
+    if (typeof opt !== 'string' || !opt.trim()) {
+      errors.push(`option ${String.fromCharCode(65 + i)} is empty`);
+    }
+  });
+  const normalizedOptions = q.options.map(opt => String(opt).toLowerCase().trim());
+  normalizedOptions.forEach((opt, i) => {
+    if (opt && normalizedOptions.indexOf(opt) !== i) {
+      errors.push(`option ${String.fromCharCode(65 + i)} duplicates option ${String.fromCharCode(65 + normalizedOptions.indexOf(opt))}`);
+    }
+  });
+
+  const correct = Array.isArray(q.correct) ? q.correct : [q.correct];
+  const validCorrect = correct.every(i => Number.isInteger(i) && i >= 0 && i < q.options.length);
+  if (correct.length === 0) {
+    errors.push('correct is an empty array');
+  } else if (!validCorrect) {
+    errors.push(`correct ${JSON.stringify(q.correct)} points outside the ${q.options.length} options`);
+  }
+  if (new Set(correct).size !== correct.length) {
+    errors.push(`correct ${JSON.stringify(q.correct)} lists the same answer twice`);
+  }
+  if (Array.isArray(q.correct) && q.correct.length === 1) {
+    errors.push('correct is a one-element array; use a plain index for single answers');
+  }
+
+  // Multi-answer wording must match the number of correct answers
+  if (typeof q.question === 'string') {
+    const requested = requestedAnswerCount(q.question);
+    if (requested === null && correct.length > 1) {
+      errors.push(`${correct.length} correct answers but the question has no "(Choose ${correct.length})" wording`);
+    } else if (requested !== null && requested !== correct.length) {
+      errors.push(`question asks to choose ${requested} but correct has ${correct.length} answer(s)`);
+    }
+  }
+
+  // Explanation letters must agree with correct
+  if (typeof q.explanation !== 'string') {
+    errors.push('explanation must be a string');
+  } else if (validCorrect) {
+    const explained = explanationAnswer(q.explanation);
+    if (explained) {
+      const letters = indices => indices.slice().sort((a, b) => a - b).map(i => String.fromCharCode(65 + i)).join(', ');
+      if (letters(explained) !== letters(correct)) {
+        errors.push(`explanation says ${letters(explained)} but correct is ${letters(correct)}`);
+      }
+    }
+  }
+
+  if (q.domain !== undefined && !domains.has(q.domain)) {
+    errors.push(`unknown blueprint domain "${q.domain}"`);
+  }
+
+  return errors;
+}
+
+// Returns [{ category, id, message }] for the whole bank
+function validateQuestionSets(questionSets, domains = loadDomains()) {
+  const problems = [];
+
+  if (!questionSets || typeof questionSets !== 'object') {
+    return [{ category: '-', id: '-', message: 'QUESTION_SETS is not an object' }];
+  }
+
+  Object.keys(questionSets).forEach(category => {
+    const questions = questionSets[category];
+    if (!Array.isArray(questions)) {
+      problems.push({ category, id: '-', message: 'category is not an array' });
+      return;
+    }
+
+    const seenIds = new Set();
+    questions.forEach((q, index) => {
+      const id = q && q.id !== undefined ? q.id : `#${index + 1}`;
+      if (q && q.id !== undefined) {
+        if (seenIds.has(q.id)) {
+          problems.push({ category, id, message: 'duplicate id in category' });
+        }
+        seenIds.add(q.id);
+      }
+
+      validateQuestion(q, domains).forEach(message => problems.push({ category, id, message }));
+    });
+  });
+
+  return problems;
+}
+
+function main() {
+  const file = path.resolve(process.argv[2] || path.join(ROOT, 'questions.js'));
+  let questionSets;
+  try {
+    questionSets = loadQuestionSets(file);
+  } catch (err) {
+    console.error(`❌ Could not load ${file}: ${err.message}`);
+    process.exit(1);
+  }
+
+  const problems = validateQuestionSets(questionSets);
+  const total = Object.values(questionSets).reduce((sum, questions) => sum + questions.length, 0);
+
+  problems.forEach(p => console.log(`${p.category} #${p.id}: ${p.message}`));
+
+  if (problems.length > 0) {
+    const questionsWithErrors = new Set(problems.map(p => `${p.category}#${p.id}`)).size;
+    console.log(`\n❌ ${problems.length} error(s) in ${questionsWithErrors} of ${total} questions`);
+    process.exit(1);
+  }
+
+  console.log(`✅ ${total} questions in ${Object.keys(questionSets).length} categories are valid`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { loadScripts, loadQuestionSets, validateQuestionSets, validateQuestion, requestedAnswerCount };
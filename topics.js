@@ -0,0 +1,206 @@
+// ServiceNow CSA Topic Classifier
+// Assigns every question a topic and CSA blueprint domain from keyword rules.
+// A question's own "topic" or "domain" field overrides the classifier; untagged
+// questions take the domain of their topic's rule.
+
+const GENERAL_TOPIC = 'General ServiceNow Concept';
+
+// Rules are checked in order; the first rule with a matching keyword wins.
+// Keywords match whole words (plurals included) in the lowercased question text.
+const TOPIC_RULES = [
+  {
+    topic: 'Update Sets',
+    domain: 'Application Development',
+    keywords: ['update set', 'updateset'],
+    summary: 'Update Sets are used to move customizations between ServiceNow instances. They capture configuration changes and allow you to preview, commit, and migrate them to other environments.',
+    docUrl: 'https://docs.servicenow.com/bundle/utah-application-development/page/build/system-update-sets/concept/system-update-sets.html',
+    docTitle: 'Update Sets'
+  },
+  {
+    topic: 'Business Rules',
+    domain: 'Application Development',
+    keywords: ['business rule'],
+    summary: 'Business Rules are server-side logic that run when records are queried, updated, inserted, or deleted. They can execute before or after database operations.',
+    docUrl: 'https://docs.servicenow.com/bundle/utah-application-development/page/script/business-rules/concept/c_BusinessRules.html',
+    docTitle: 'Business Rules'
+  },
+  {
+    topic: 'Client Scripts',
+    domain: 'Application Development',
+    keywords: ['client script', 'g_form', 'onchange', 'onload', 'onsubmit'],
+    summary: 'Client Scripts run on the client browser to validate data, provide feedback, and dynamically change form content in real-time.',
+    docUrl: 'https://docs.servicenow.com/bundle/utah-application-development/page/script/client-scripts/concept/c_ClientScripts.html',
+    docTitle: 'Client Scripts'
+  },
+  {
+    topic: 'UI Policies & Actions',
+    domain: 'Application Development',
+    keywords: ['ui policy', 'ui policies', 'ui action'],
+    summary: 'UI Policies dynamically change form behavior (making fields mandatory, visible, or read-only). UI Actions are buttons, links, or context menu items.',
+    docUrl: 'https://docs.servicenow.com/bundle/utah-platform-user-interface/page/administer/form-administration/concept/ui-policies.html',
+    docTitle: 'UI Policies'
+  },
+  {
+    topic: 'GlideRecord API',
+    domain: 'Application Development',
+    keywords: ['gliderecord', 'glideajax', 'glidesystem', 'gs', 'script include', 'api'],
+    summary: 'GlideRecord is the server-side API for database operations. GlideAjax enables asynchronous client-to-server communication.',
+    docUrl: 'https://docs.servicenow.com/bundle/utah-api-reference/page/app-store/dev_portal/API_reference/GlideRecord/concept/c_GlideRecordAPI.html',
+    docTitle: 'GlideRecord'
+  },
+  {
+    topic: 'Applications & Modules',
+    domain: 'Application Development',
+    keywords: ['scoped app', 'studio', 'application menu', 'module', 'application scope', 'custom application'],
+    summary: 'Applications group related modules in the Application Navigator. Scoped applications built in Studio isolate their tables, scripts, and configuration from the rest of the instance.',
+    docUrl: 'https://docs.servicenow.com/search?q=application%20navigator%20modules',
+    docTitle: 'Applications and Modules'
+  },
+  {
+    topic: 'CMDB',
+    domain: 'CMDB',
+    keywords: ['cmdb', 'configuration item', 'ci class', 'ci relationship', 'discovery', 'service mapping', 'dependency view', 'configuration management'],
+    summary: 'The Configuration Management Database (CMDB) stores information about configuration items (CIs) and their relationships in your IT infrastructure.',
+    docUrl: 'https://docs.servicenow.com/bundle/utah-servicenow-platform/page/product/configuration-management/concept/c_ITILConfigurationManagement.html',
+    docTitle: 'CMDB'
+  },
+  {
+    topic: 'Workflow & Flow Designer',
+    domain: 'Self-Service',
+    keywords: ['workflow', 'flow designer', 'flow', 'approval', 'subflow', 'action designer'],
+    summary: 'Workflows automate multi-step processes. Flow Designer is the modern tool for creating flows with a natural language interface.',
+    docUrl: 'https://docs.servicenow.com/bundle/utah-automate-lifecycle-events/page/administer/flow-designer/concept/flow-designer.html',
+    docTitle: 'Flow Designer'
+  },
+  {
+    topic: 'Service Catalog',
+    domain: 'Self-Service',
+    keywords: ['service catalog', 'catalog item', 'catalogue', 'record producer', 'order guide', 'variable', 'requested item', 'cart'],
+    summary: 'The Service Catalog allows users to request items and services through a user-friendly shopping cart interface.',
+    docUrl: 'https://docs.servicenow.com/bundle/utah-servicenow-platform/page/product/service-catalog-management/concept/c_IntroductionToServiceCatalog.html',
+    docTitle: 'Service Catalog'
+  },
+  {
+    topic: 'Knowledge Management',
+    domain: 'Self-Service',
+    keywords: ['knowledge'],
+    summary: 'Knowledge Management lets users create, review, publish, and search articles in knowledge bases, with user criteria controlling who can read and contribute.',
+    docUrl: 'https://docs.servicenow.com/search?q=knowledge%20management',
+    docTitle: 'Knowledge Management'
+  },
+  {
+    topic: 'Service Portal',
+    domain: 'Self-Service',
+    keywords: ['service portal', 'portal', 'widget', 'virtual agent', 'self-service', 'self service'],
+    summary: 'Service Portal provides a modern self-service interface built from pages and widgets, where users can search, browse the catalog, and get help.',
+    docUrl: 'https://docs.servicenow.com/search?q=service%20portal',
+    docTitle: 'Service Portal'
+  },
+  {
+    topic: 'Access Control (ACL)',
+    domain: 'Database',
+    keywords: ['acl', 'access control', 'security rule'],
+    summary: 'Access Control Lists (ACLs) define which users can access and modify specific data, applications, and functionality in ServiceNow.',
+    docUrl: 'https://docs.servicenow.com/bundle/utah-platform-security/page/administer/contextual-security/concept/access-control-rules.html',
+    docTitle: 'Access Control'
+  },
+  {
+    topic: 'Import Sets & Transform Maps',
+    domain: 'Database',
+    keywords: ['import set', 'transform map', 'coalesce', 'data source', 'import'],
+    summary: 'Import Sets stage external data in a temporary table. Transform Maps move it into target tables, using coalesce fields to decide whether to update existing records or insert new ones.',
+    docUrl: 'https://docs.servicenow.com/search?q=import%20sets%20transform%20maps',
+    docTitle: 'Import Sets'
+  },
+  {
+    topic: 'Tables & Schema',
+    domain: 'Database',
+    keywords: ['table', 'dictionary', 'schema', 'extend', 'reference field', 'field type', 'choice list', 'sys_id', 'database', 'data policy', 'dot-walk', 'dot walk'],
+    summary: 'Tables store records in fields defined by the Data Dictionary. Tables can extend a parent table to inherit its fields, and reference fields link records across tables.',
+    docUrl: 'https://docs.servicenow.com/search?q=tables%20and%20data%20dictionary',
+    docTitle: 'Tables and the Data Dictionary'
+  },
+  {
+    topic: 'Notifications',
+    domain: 'Collaboration',
+    keywords: ['notification', 'email', 'e-mail'],
+    summary: 'Notifications send emails, SMS, or push messages when records are inserted or updated or when events fire, to users, groups, or fields on the record.',
+    docUrl: 'https://docs.servicenow.com/search?q=email%20notifications',
+    docTitle: 'Notifications'
+  },
+  {
+    topic: 'Reports & Dashboards',
+    domain: 'Collaboration',
+    keywords: ['report', 'dashboard', 'homepage', 'performance analytics', 'metric', 'gauge', 'chart'],
+    summary: 'Reports visualize table data as lists, charts, and scores. Dashboards and homepages collect reports and widgets in one place, and can be shared with users, groups, and roles.',
+    docUrl: 'https://docs.servicenow.com/search?q=reports%20and%20dashboards',
+    docTitle: 'Reporting'
+  },
+  {
+    topic: 'Task Management & SLAs',
+    domain: 'Collaboration',
+    keywords: ['sla', 'service level', 'incident', 'problem', 'change request', 'task', 'assignment', 'visual task board', 'connect', 'live feed', 'activity stream', 'survey'],
+    summary: 'Task-based applications such as Incident, Problem, and Change extend the Task table, sharing assignment, state, and SLA tracking. Visual Task Boards and Connect help teams collaborate on the work.',
+    docUrl: 'https://docs.servicenow.com/search?q=task%20table%20sla',
+    docTitle: 'Task Management'
+  },
+  {
+    topic: 'Forms & Lists',
+    domain: 'Collaboration',
+    keywords: ['form', 'list', 'filter', 'breadcrumb', 'related list', 'view', 'condition builder', 'template', 'personalize', 'personalization'],
+    summary: 'Forms display a single record and lists display many. Both can be configured with views, layouts, filters, and related lists, and users can personalize lists for themselves.',
+    docUrl: 'https://docs.servicenow.com/search?q=forms%20and%20lists',
+    docTitle: 'Forms and Lists'
+  },
+  {
+    topic: 'Users, Groups & Roles',
+    domain: 'Other',
+    keywords: ['user', 'group', 'role', 'impersonate', 'impersonation', 'ldap', 'single sign-on', 'sso'],
+    summary: 'Users belong to groups, and roles granted to users or groups control what they can see and do. Granting roles to groups rather than individuals keeps access easy to manage.',
+    docUrl: 'https://docs.servicenow.com/search?q=users%20groups%20roles',
+    docTitle: 'Users, Groups, and Roles'
+  },
+  {
+    topic: 'Platform Navigation & UI',
+    domain: 'Other',
+    keywords: ['navigator', 'banner', 'branding', 'favorites', 'history', 'instance', 'system property', 'system properties', 'plugin', 'next experience', 'ui16'],
+    summary: 'The platform UI includes the banner frame, Application Navigator, and content frame. Administrators configure branding, system properties, and plugins per instance.',
+    docUrl: 'https://docs.servicenow.com/search?q=platform%20user%20interface',
+    docTitle: 'Platform User Interface'
+  }
+];
+
+function matchesKeyword(text, keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b${escaped}(s|es)?\\b`).test(text);
+}
+
+// Topic and blueprint domain for one question, from its own fields or the rules
+function classifyQuestion(q) {
+  const text = q.question.toLowerCase();
+  const rule = q.topic
+    ? getTopicRule(q.topic)
+    : TOPIC_RULES.find(r => r.keywords.some(keyword => matchesKeyword(text, keyword)));
+
+  return {
+    topic: q.topic || (rule ? rule.topic : GENERAL_TOPIC),
+    domain: q.domain || (rule ? rule.domain : 'Other')
+  };
+}
+
+// Tag every question in a { category: [questions] } set in place
+function classifyQuestionSets(questionSets) {
+  Object.keys(questionSets).forEach(category => {
+    questionSets[category].forEach(q => {
+      const { topic, domain } = classifyQuestion(q);
+      q.topic = topic;
+      q.domain = domain;
+    });
+  });
+
+  return questionSets;
+}
+
+function getTopicRule(topic) {
+  return TOPIC_RULES.find(r => r.topic === topic) || null;
+}